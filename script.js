@@ -4,6 +4,9 @@ let filteredRows = [];
 let identifierCols = [];
 let sheetNames = [];
 let currentSheet = null;
+let sourceWorkbook = null; // Workbook as uploaded; untouched sheets are written back from it
+let sheetStates = {}; // Sheets opened before, by name: { rows, identifierCols, nextId, headers }
+let sheetHeaders = []; // Column order of the current sheet as loaded, used on export
 let nextId = 1; // Track next ID for new chats
 
 // Environment configuration state
@@ -16,18 +19,30 @@ let envConfig = {
 let availableProjects = []; // Array of {project_id, name}
 let availableChats = []; // Array of {chat_id, name}
 let filteredChats = []; // Filtered chats based on search
+let selectedBulkChats = new Set(); // Chat IDs ticked in bulk import mode
+
+const BULK_IMPORT_CONCURRENCY = 4; // Max exchange requests in flight during bulk import
 
 const el = (id) => document.getElementById(id);
 
 const fileInput = el("fileInput");
 const sheetSelect = el("sheetSelect");
+const schemaBtn = el("schemaBtn");
 const filtersDiv = el("filters");
 const rowList = el("rowList");
 const chat = el("chat");
 const meta = el("meta");
+const chatActions = el("chatActions");
+const replayStatus = el("replayStatus");
+const replayStatusText = el("replayStatusText");
+const replayProgressBar = el("replayProgressBar");
+const replayCancelBtn = el("replayCancelBtn");
 const configEnvForm = el("configEnvForm");
 const addChatForm = el("addChatForm");
 const downloadBtn = el("downloadBtn");
+const exportJsonlBtn = el("exportJsonlBtn");
+const exportCsvBtn = el("exportCsvBtn");
+const exportReportBtn = el("exportReportBtn");
 const spreadsheetId = el("spreadsheetId");
 const sheetName = el("sheetName");
 const syncApiKey = el("syncApiKey");
@@ -35,6 +50,46 @@ const scriptUrl = el("scriptUrl");
 const pullBtn = el("pullBtn");
 const pushBtn = el("pushBtn");
 const syncStatus = el("syncStatus");
+const listTabsBtn = el("listTabsBtn");
+const tabList = el("tabList");
+const pullRange = el("pullRange");
+const pullMode = el("pullMode");
+const scriptToken = el("scriptToken");
+const findDuplicatesBtn = el("findDuplicatesBtn");
+const rowSearch = el("rowSearch");
+const searchNav = el("searchNav");
+const statusFilter = el("statusFilter");
+const rowSort = el("rowSort");
+const dashboard = el("dashboard");
+const dashboardPanel = el("dashboardPanel");
+const dashboardToggle = el("dashboardToggle");
+const compareView = el("compareView");
+const compareContainer = el("compare");
+const regressionSource = el("regressionSource");
+const regressionBaselineRun = el("regressionBaselineRun");
+const regressionBaselineRunGroup = el("regressionBaselineRunGroup");
+const regressionWorkbookGroup = el("regressionWorkbookGroup");
+const regressionFile = el("regressionFile");
+const regressionWorkbookStatus = el("regressionWorkbookStatus");
+const regressionCandidateRun = el("regressionCandidateRun");
+const regressionMatchBy = el("regressionMatchBy");
+const regressionThreshold = el("regressionThreshold");
+const regressionRunBtn = el("regressionRunBtn");
+const regressionExportBtn = el("regressionExportBtn");
+const regressionReport = el("regressionReport");
+const reviewModeBtn = el("reviewModeBtn");
+const autoAdvance = el("autoAdvance");
+const reviewHint = el("reviewHint");
+const undoBtn = el("undoBtn");
+const redoBtn = el("redoBtn");
+const historyList = el("historyList");
+const toastContainer = el("toastContainer");
+const saveIndicator = el("saveIndicator");
+const sessionSelect = el("sessionSelect");
+const sessionRestoreBtn = el("sessionRestoreBtn");
+const sessionRenameBtn = el("sessionRenameBtn");
+const sessionDiscardBtn = el("sessionDiscardBtn");
+const sessionStatus = el("sessionStatus");
 
 // --- Helpers ---
 function isBlank(v) {
@@ -123,6 +178,23 @@ function rowToMessages(row) {
   return msgs;
 }
 
+// Expected for exchange 0, Expected_1 for exchange 1, ... (SheetJS duplicate naming)
+function expectedColumnName(exchangeIndex) {
+  return exchangeIndex === 0 ? "Expected" : `Expected_${exchangeIndex}`;
+}
+
+// Number of exchange slots (Q/R column pairs) present in a row, including blank gaps
+function getExchangeCount(row) {
+  let max = 0;
+  Object.keys(row).forEach((key) => {
+    const match = key.match(/^[QR](\d+)$/i);
+    if (match && !isBlank(row[key])) {
+      max = Math.max(max, parseInt(match[1]));
+    }
+  });
+  return max;
+}
+
 function getRowTitle(row) {
   // pick a nice display title - prefer Id, then Chat Id, then row number
   if (!isBlank(row["Id"])) return `ID: ${row["Id"]}`;
@@ -172,228 +244,1836 @@ function formatDateValue(value, colName) {
   return stableValue(value);
 }
 
+// --- Dialogs ---
+// Show a modal with a message and/or custom content. Resolves with the value of
+// the clicked button, or null when dismissed with Escape or a backdrop click.
+function showDialog({ title, message = "", content = null, buttons = [] }) {
+  return new Promise((resolve) => {
+    const backdrop = document.createElement("div");
+    backdrop.className = "modal-backdrop";
+
+    const modal = document.createElement("div");
+    modal.className = "modal";
+
+    const heading = document.createElement("h3");
+    heading.textContent = title;
+    modal.appendChild(heading);
+
+    if (message) {
+      const body = document.createElement("div");
+      body.className = "modal-message";
+      body.textContent = message;
+      modal.appendChild(body);
+    }
+
+    if (content) {
+      const body = document.createElement("div");
+      body.className = "modal-content";
+      body.appendChild(content);
+      modal.appendChild(body);
+    }
+
+    const actions = document.createElement("div");
+    actions.className = "modal-actions";
+
+    function close(value) {
+      document.removeEventListener("keydown", onKeydown);
+      backdrop.remove();
+      resolve(value);
+    }
+
+    function onKeydown(e) {
+      if (e.key === "Escape") close(null);
+    }
+
+    buttons.forEach((b) => {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = b.primary ? "btn" : "btn secondary";
+      btn.textContent = b.label;
+      btn.addEventListener("click", () => close(b.value));
+      actions.appendChild(btn);
+    });
+    modal.appendChild(actions);
+
+    backdrop.addEventListener("click", (e) => {
+      if (e.target === backdrop) close(null);
+    });
+    document.addEventListener("keydown", onKeydown);
+
+    backdrop.appendChild(modal);
+    document.body.appendChild(backdrop);
+  });
+}
+
 // --- Filtering UI ---
-let activeFilters = {}; // { colName: Set(values) }
+// { colName: { op, values: Set, text, from, to } } - one entry per filter column
+let activeFilters = {};
+
+const DEFAULT_FILTER_COLUMNS = ["Priority", "Location Run", "User Email", "Project Name"];
+
+const FILTER_OPERATORS = [
+  { value: "in", text: "is any of" },
+  { value: "contains", text: "contains" },
+  { value: "empty", text: "is empty" },
+  { value: "notEmpty", text: "is not empty" },
+  { value: "between", text: "is between", dateOnly: true }
+];
+
+// Columns the user has chosen to filter on, persisted between sessions
+let filterColumns = loadFilterColumns();
+
+function loadFilterColumns() {
+  try {
+    const saved = JSON.parse(localStorage.getItem("filterColumns"));
+    if (Array.isArray(saved)) return saved;
+  } catch (e) {
+    // Ignore malformed settings and fall back to the defaults
+  }
+  return [...DEFAULT_FILTER_COLUMNS];
+}
+
+function saveFilterColumns() {
+  localStorage.setItem("filterColumns", JSON.stringify(filterColumns));
+}
+
+function isDateColumn(col) {
+  return /date/i.test(col);
+}
+
+function newFilter() {
+  return { op: "in", values: new Set(), text: "", from: "", to: "" };
+}
+
+// Convert a cell value (Excel serial, ISO or formatted string) to a Date
+function toDateValue(value) {
+  if (isBlank(value)) return null;
+  const num = Number(value);
+  if (!isNaN(num) && num > 0 && num < 1000000) {
+    const excelEpoch = new Date(1899, 11, 30);
+    return new Date(excelEpoch.getTime() + num * 24 * 60 * 60 * 1000);
+  }
+  return parseDateString(String(value));
+}
+
+function matchesFilter(value, col, filter) {
+  const rowValue = stableValue(value);
+  switch (filter.op) {
+    case "in":
+      return filter.values.size === 0 || filter.values.has(rowValue);
+    case "contains":
+      return filter.text === "" || rowValue.toLowerCase().includes(filter.text.toLowerCase());
+    case "empty":
+      return isBlank(value);
+    case "notEmpty":
+      return !isBlank(value);
+    case "between": {
+      if (!filter.from && !filter.to) return true;
+      const date = toDateValue(value);
+      if (!date) return false;
+      if (filter.from && date < parseDateString(filter.from)) return false;
+      // Inclusive end date: compare against the start of the following day
+      if (filter.to) {
+        const end = parseDateString(filter.to);
+        end.setDate(end.getDate() + 1);
+        if (date >= end) return false;
+      }
+      return true;
+    }
+    default:
+      return true;
+  }
+}
+
+function isFilterActive(filter) {
+  switch (filter.op) {
+    case "in": return filter.values.size > 0;
+    case "contains": return filter.text !== "";
+    case "between": return Boolean(filter.from || filter.to);
+    default: return true;
+  }
+}
 
-const FILTER_COLUMNS = ["Priority", "Location Run", "User Email", "Project Name"];
+// Clear every filter (and the search box) so all rows show
+function resetFilters() {
+  activeFilters = {};
+  statusFilter.value = "";
+  rowSearch.value = "";
+  searchQuery = parseSearchQuery("");
+  buildFilters();
+}
 
+// Rebuild the filter controls, keeping selections for columns still present
 function buildFilters() {
   filtersDiv.innerHTML = "";
-  activeFilters = {};
+  const available = allRows.length ? identifierCols : [];
 
-  FILTER_COLUMNS.forEach((col) => {
-    // Check if column exists in the data
-    if (!allRows.length || !(col in allRows[0])) return;
+  Object.keys(activeFilters).forEach((col) => {
+    if (!filterColumns.includes(col) || !available.includes(col)) delete activeFilters[col];
+  });
 
-    // Get unique values from all rows
-    const vals = Array.from(
-      new Set(allRows.map((r) => stableValue(r[col])).filter((v) => v !== ""))
-    ).sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  filterColumns.forEach((col) => {
+    if (!available.includes(col)) return;
+    if (!activeFilters[col]) activeFilters[col] = newFilter();
+    filtersDiv.appendChild(buildFilterControl(col, activeFilters[col]));
+  });
 
-    if (vals.length === 0) return;
+  // Add a filter on any other metadata column
+  const addable = available.filter((col) => !filterColumns.includes(col));
+  if (addable.length > 0) {
+    const addSelect = document.createElement("select");
+    addSelect.className = "add-filter-select";
+    const placeholder = document.createElement("option");
+    placeholder.value = "";
+    placeholder.textContent = "+ Add filter...";
+    addSelect.appendChild(placeholder);
+    addable.forEach((col) => {
+      const opt = document.createElement("option");
+      opt.value = col;
+      opt.textContent = col;
+      addSelect.appendChild(opt);
+    });
+    addSelect.addEventListener("change", () => {
+      if (!addSelect.value) return;
+      filterColumns.push(addSelect.value);
+      saveFilterColumns();
+      buildFilters();
+    });
+    filtersDiv.appendChild(addSelect);
+  }
+}
 
-    const wrap = document.createElement("div");
-    wrap.className = "filter";
+function buildFilterControl(col, filter) {
+  const wrap = document.createElement("div");
+  wrap.className = "filter";
 
-    const label = document.createElement("label");
-    label.textContent = col;
+  const header = document.createElement("div");
+  header.className = "filter-header";
 
-    const select = document.createElement("select");
-    select.multiple = false; // Single select dropdown
-    select.size = 1;
-    
-    // Add "All" option
-    const allOpt = document.createElement("option");
-    allOpt.value = "";
-    allOpt.textContent = "All";
-    allOpt.selected = true;
-    select.appendChild(allOpt);
-
-    vals.forEach((v) => {
-      const opt = document.createElement("option");
-      opt.value = v;
-      opt.textContent = v;
-      select.appendChild(opt);
+  const label = document.createElement("label");
+  label.textContent = col;
+
+  const opSelect = document.createElement("select");
+  opSelect.className = "filter-op";
+  FILTER_OPERATORS.forEach((op) => {
+    if (op.dateOnly && !isDateColumn(col)) return;
+    const opt = document.createElement("option");
+    opt.value = op.value;
+    opt.textContent = op.text;
+    opt.selected = op.value === filter.op;
+    opSelect.appendChild(opt);
+  });
+  opSelect.addEventListener("change", () => {
+    activeFilters[col] = { ...newFilter(), op: opSelect.value };
+    buildFilters();
+    applyAll();
+  });
+
+  const removeBtn = document.createElement("button");
+  removeBtn.className = "filter-remove";
+  removeBtn.textContent = "×";
+  removeBtn.title = "Remove filter";
+  removeBtn.addEventListener("click", () => {
+    filterColumns = filterColumns.filter((c) => c !== col);
+    delete activeFilters[col];
+    saveFilterColumns();
+    buildFilters();
+    applyAll();
+  });
+
+  header.appendChild(label);
+  header.appendChild(opSelect);
+  header.appendChild(removeBtn);
+  wrap.appendChild(header);
+
+  if (filter.op === "in") {
+    wrap.appendChild(buildValueChecklist(col, filter));
+  } else if (filter.op === "contains") {
+    const input = document.createElement("input");
+    input.type = "text";
+    input.className = "filter-text";
+    input.placeholder = "Text...";
+    input.value = filter.text;
+    input.addEventListener("input", () => {
+      filter.text = input.value.trim();
+      applyAll();
+    });
+    wrap.appendChild(input);
+  } else if (filter.op === "between") {
+    const range = document.createElement("div");
+    range.className = "filter-range";
+    ["from", "to"].forEach((bound) => {
+      const input = document.createElement("input");
+      input.type = "date";
+      input.value = filter[bound];
+      input.title = bound === "from" ? "From (inclusive)" : "To (inclusive)";
+      input.addEventListener("change", () => {
+        filter[bound] = input.value;
+        applyAll();
+      });
+      range.appendChild(input);
     });
+    wrap.appendChild(range);
+  }
+
+  if (isFilterActive(filter)) wrap.classList.add("active");
+  return wrap;
+}
+
+function buildValueChecklist(col, filter) {
+  // Get unique values from all rows
+  const vals = Array.from(
+    new Set(allRows.map((r) => stableValue(r[col])).filter((v) => v !== ""))
+  ).sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+  // Drop selections that no longer exist in the data
+  filter.values.forEach((v) => {
+    if (!vals.includes(v)) filter.values.delete(v);
+  });
+
+  const list = document.createElement("div");
+  list.className = "filter-values";
 
-    activeFilters[col] = null; // null means "all selected"
+  if (vals.length === 0) {
+    list.innerHTML = `<div class="hint">No values</div>`;
+    return list;
+  }
+
+  vals.forEach((v) => {
+    const item = document.createElement("label");
+    item.className = "filter-value";
 
-    select.addEventListener("change", () => {
-      const selectedValue = select.value;
-      activeFilters[col] = selectedValue === "" ? null : selectedValue;
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = filter.values.has(v);
+    checkbox.addEventListener("change", () => {
+      if (checkbox.checked) {
+        filter.values.add(v);
+      } else {
+        filter.values.delete(v);
+      }
+      list.closest(".filter").classList.toggle("active", isFilterActive(filter));
       applyAll();
     });
 
-    wrap.appendChild(label);
-    wrap.appendChild(select);
-    filtersDiv.appendChild(wrap);
+    const text = document.createElement("span");
+    text.textContent = isDateColumn(col) ? formatDateValue(v, col) : v;
+
+    item.appendChild(checkbox);
+    item.appendChild(text);
+    list.appendChild(item);
   });
+
+  return list;
 }
 
 function applyFilters(rows) {
   return rows.filter((r) => {
-    for (const col of FILTER_COLUMNS) {
-      const filterValue = activeFilters[col];
-      if (filterValue === null) continue; // No filter applied
-      
-      const rowValue = stableValue(r[col]);
-      if (rowValue !== filterValue) return false;
+    for (const [col, filter] of Object.entries(activeFilters)) {
+      if (!matchesFilter(r[col], col, filter)) return false;
     }
-    return true;
+    if (!matchesStatusFilter(r, statusFilter.value)) return false;
+    return matchesSearch(r, searchQuery);
   });
 }
 
-// --- Row list + chat rendering ---
-let activeIndex = null;
+// Filtered and sorted rows, as shown in the row list
+function computeFilteredRows() {
+  return sortRows(applyFilters(allRows), rowSort.value);
+}
 
-function renderRowList(rows) {
-  rowList.innerHTML = "";
-  if (rows.length === 0) {
-    rowList.innerHTML = `<div class="hint">No rows match filters.</div>`;
-    return;
+// --- Evaluation status ---
+// "yes" / "no" for labeled responses, "" when unlabeled
+function normalizeExpected(value) {
+  if (isBlank(value)) return "";
+  return String(value).trim().toLowerCase();
+}
+
+// Pass/fail/unlabeled counts over a row's assistant responses
+function getRowEvalStats(row) {
+  const stats = { total: 0, pass: 0, fail: 0, unlabeled: 0 };
+  rowToMessages(row).forEach((m) => {
+    if (m.role !== "assistant") return;
+    stats.total++;
+    const expected = normalizeExpected(m.expected);
+    if (expected === "yes") stats.pass++;
+    else if (expected === "no") stats.fail++;
+    else if (expected === "") stats.unlabeled++;
+  });
+  return stats;
+}
+
+function percentLabeled(stats) {
+  return stats.total === 0 ? 0 : (stats.total - stats.unlabeled) / stats.total;
+}
+
+function matchesStatusFilter(row, status) {
+  if (!status) return true;
+  const stats = getRowEvalStats(row);
+  switch (status) {
+    case "hasFail": return stats.fail > 0;
+    case "allPass": return stats.total > 0 && stats.pass === stats.total;
+    case "hasUnlabeled": return stats.unlabeled > 0;
+    case "fullyLabeled": return stats.total > 0 && stats.unlabeled === 0;
+    default: return true;
   }
+}
 
-  rows.forEach((row, i) => {
-    const item = document.createElement("div");
-    item.className = "rowitem" + (i === activeIndex ? " active" : "");
+// Lower rank sorts first; accepts names (High/Medium/Low) and P0/P1/1/2 styles
+const PRIORITY_RANKS = { critical: 0, urgent: 0, highest: 0, high: 1, medium: 2, normal: 2, low: 3, lowest: 4, none: 5 };
 
-    const titleRow = document.createElement("div");
-    titleRow.style.display = "flex";
-    titleRow.style.justifyContent = "space-between";
-    titleRow.style.alignItems = "center";
-    titleRow.style.gap = "8px";
+function priorityRank(value) {
+  if (isBlank(value)) return 100;
+  const normalized = String(value).trim().toLowerCase();
+  if (normalized in PRIORITY_RANKS) return PRIORITY_RANKS[normalized];
+  const numeric = normalized.match(/^p?(\d+)$/);
+  if (numeric) return parseInt(numeric[1]);
+  return 50;
+}
 
-    const title = document.createElement("div");
-    title.className = "rowtitle";
-    title.textContent = getRowTitle(row);
-    title.style.flex = "1";
+function sortRows(rows, mode) {
+  if (!mode) return rows;
 
-    // Delete button
-    const deleteBtn = document.createElement("button");
-    deleteBtn.textContent = "×";
-    deleteBtn.className = "delete-row-btn";
-    deleteBtn.title = "Delete row";
-    deleteBtn.onclick = (e) => {
-      e.stopPropagation(); // Prevent row selection when clicking delete
-      deleteRow(row);
+  // Decorate once so stats aren't recomputed for every comparison
+  const decorated = rows.map((row, index) => {
+    const stats = getRowEvalStats(row);
+    const date = toDateValue(row["Date"]);
+    return {
+      row,
+      index,
+      fail: stats.fail,
+      labeled: percentLabeled(stats),
+      time: date ? date.getTime() : null,
+      priority: priorityRank(row["Priority"])
     };
+  });
 
-    titleRow.appendChild(title);
-    titleRow.appendChild(deleteBtn);
+  const byDate = (a, b, dir) => {
+    // Rows without a date always go last
+    if (a.time === null && b.time === null) return 0;
+    if (a.time === null) return 1;
+    if (b.time === null) return -1;
+    return (a.time - b.time) * dir;
+  };
 
-    const sub = document.createElement("div");
-    sub.className = "rowsub";
-    const parts = [];
-    if (!isBlank(row["Priority"])) parts.push(`Priority: ${row["Priority"]}`);
-    if (!isBlank(row["Project Name"])) parts.push(row["Project Name"]);
-    if (!isBlank(row["User Email"])) parts.push(row["User Email"]);
-    sub.textContent = parts.length > 0 ? parts.join(" • ") : "No metadata";
+  const comparators = {
+    failures: (a, b) => b.fail - a.fail,
+    labeledAsc: (a, b) => a.labeled - b.labeled,
+    labeledDesc: (a, b) => b.labeled - a.labeled,
+    dateDesc: (a, b) => byDate(a, b, -1),
+    dateAsc: (a, b) => byDate(a, b, 1),
+    priority: (a, b) => a.priority - b.priority
+  };
+  const compare = comparators[mode];
+  if (!compare) return rows;
 
-    item.appendChild(titleRow);
-    item.appendChild(sub);
+  // Fall back to sheet order so ties stay stable
+  return decorated
+    .sort((a, b) => compare(a, b) || a.index - b.index)
+    .map((d) => d.row);
+}
 
-    item.onclick = () => {
-      activeIndex = i;
-      renderRowList(rows);
-      renderChat(row);
-    };
+function buildRowStats(row) {
+  const stats = getRowEvalStats(row);
+  if (stats.total === 0) return null;
 
-    rowList.appendChild(item);
+  const wrap = document.createElement("span");
+  wrap.className = "row-stats";
+  wrap.title = `${stats.pass} expected, ${stats.fail} unexpected, ${stats.unlabeled} unlabeled`;
+  [
+    ["pass", `✓${stats.pass}`],
+    ["fail", `✗${stats.fail}`],
+    ["unlabeled", `○${stats.unlabeled}`]
+  ].forEach(([kind, text]) => {
+    const part = document.createElement("span");
+    part.className = `row-stat ${kind}`;
+    part.textContent = text;
+    wrap.appendChild(part);
   });
-
-  // autoselect first row if none active
-  if (activeIndex === null && rows.length > 0) {
-    activeIndex = 0;
-    renderRowList(rows);
-    renderChat(rows[0]);
-  }
+  return wrap;
 }
 
-function deleteRow(rowToDelete) {
-  // Find the row in allRows by comparing all properties
-  const indexInAllRows = allRows.findIndex(row => {
-    // Compare by Id if available, otherwise compare all properties
-    if (rowToDelete["Id"] && row["Id"]) {
-      return rowToDelete["Id"] === row["Id"];
-    }
-    // Fallback: compare all key-value pairs
-    const keys = Object.keys(rowToDelete);
-    return keys.every(key => rowToDelete[key] === row[key]);
+statusFilter.addEventListener("change", () => applyAll());
+rowSort.addEventListener("change", () => applyAll());
+
+// --- Content views ---
+let activeView = "transcriptView";
+
+function setContentView(viewId) {
+  activeView = viewId;
+  document.querySelectorAll(".content-view").forEach((view) => {
+    view.style.display = view.id === viewId ? "" : "none";
   });
+  document.querySelectorAll(".view-tab[data-view]").forEach((tab) => {
+    tab.classList.toggle("active", tab.dataset.view === viewId);
+  });
+  dashboardToggle.classList.toggle("active", dashboardOpen && viewId === "transcriptView");
+  if (viewId === "transcriptView") refreshDashboard();
+  if (viewId === "compareView") renderCompare();
+  if (viewId === "regressionView") showRegressionView();
+}
 
-  if (indexInAllRows === -1) {
-    console.error("Row not found in allRows");
-    return;
+document.querySelectorAll(".view-tab[data-view]").forEach((tab) => {
+  tab.addEventListener("click", () => setContentView(tab.dataset.view));
+});
+
+// --- Evaluation dashboard ---
+const DASHBOARD_GROUPS = ["Project Name", "Location Run", "User Email", "Priority", "Date"];
+
+function emptyCounts() {
+  return { rows: 0, total: 0, pass: 0, fail: 0, unlabeled: 0 };
+}
+
+function addCounts(target, stats) {
+  target.rows++;
+  target.total += stats.total;
+  target.pass += stats.pass;
+  target.fail += stats.fail;
+  target.unlabeled += stats.unlabeled;
+}
+
+function formatRate(numerator, denominator) {
+  if (denominator === 0) return "—";
+  return `${Math.round((numerator / denominator) * 100)}%`;
+}
+
+// Monday of the date's week, used to bucket Date by week
+function weekStart(date) {
+  const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  const offset = (start.getDay() + 6) % 7;
+  start.setDate(start.getDate() - offset);
+  return start;
+}
+
+function dashboardGroupKey(row, col) {
+  if (col === "Date") {
+    const date = toDateValue(row["Date"]);
+    if (!date || isNaN(date.getTime())) return { key: "", label: "(no date)" };
+    const start = weekStart(date);
+    return {
+      key: String(start.getTime()),
+      label: `Week of ${start.toLocaleDateString("en-US", { year: "numeric", month: "short", day: "numeric" })}`
+    };
   }
+  const value = stableValue(row[col]).trim();
+  return { key: value, label: value || "(blank)" };
+}
 
-  // Remove from allRows
-  allRows.splice(indexInAllRows, 1);
+function aggregateDashboard(rows) {
+  const overall = emptyCounts();
+  const groups = {};
+  const positions = [];
+  DASHBOARD_GROUPS.forEach((col) => { groups[col] = new Map(); });
 
-  // Re-apply filters and update UI
-  const afterFilter = applyFilters(allRows);
-  filteredRows = afterFilter;
+  rows.forEach((row) => {
+    const stats = getRowEvalStats(row);
+    addCounts(overall, stats);
 
-  // Update activeIndex if needed
-  if (activeIndex !== null) {
-    // If we deleted the active row or a row before it, adjust index
-    const deletedIndexInFiltered = filteredRows.findIndex(row => {
-      if (rowToDelete["Id"] && row["Id"]) {
-        return rowToDelete["Id"] === row["Id"];
-      }
-      const keys = Object.keys(rowToDelete);
-      return keys.every(key => rowToDelete[key] === row[key]);
+    DASHBOARD_GROUPS.forEach((col) => {
+      if (!(col in row)) return;
+      const { key, label } = dashboardGroupKey(row, col);
+      if (!groups[col].has(key)) groups[col].set(key, { label, counts: emptyCounts() });
+      addCounts(groups[col].get(key).counts, stats);
     });
 
-    if (deletedIndexInFiltered === activeIndex) {
-      // Deleted the active row - select the next one, or previous if at end
-      if (filteredRows.length > 0) {
-        activeIndex = Math.min(activeIndex, filteredRows.length - 1);
+    // Per exchange position (turn 1, turn 2, ...)
+    rowToMessages(row).forEach((m) => {
+      if (m.role !== "assistant") return;
+      if (!positions[m.exchangeIndex]) positions[m.exchangeIndex] = emptyCounts();
+      const counts = positions[m.exchangeIndex];
+      const expected = normalizeExpected(m.expected);
+      counts.total++;
+      if (expected === "yes") counts.pass++;
+      else if (expected === "no") counts.fail++;
+      else if (expected === "") counts.unlabeled++;
+    });
+  });
+
+  return { overall, groups, positions };
+}
+
+function buildDashboardTable(title, firstColumn, entries, showRows = true) {
+  const section = document.createElement("div");
+  section.className = "dashboard-section";
+
+  const heading = document.createElement("h4");
+  heading.textContent = title;
+  section.appendChild(heading);
+
+  const table = document.createElement("table");
+  table.className = "dashboard-table";
+
+  const headers = [firstColumn, ...(showRows ? ["Rows"] : []), "Responses", "✓ Pass", "✗ Fail", "○ Unlabeled", "Pass rate", "Labeled"];
+  const thead = document.createElement("thead");
+  const headRow = document.createElement("tr");
+  headers.forEach((h) => {
+    const th = document.createElement("th");
+    th.textContent = h;
+    headRow.appendChild(th);
+  });
+  thead.appendChild(headRow);
+  table.appendChild(thead);
+
+  const tbody = document.createElement("tbody");
+  entries.forEach(({ label, counts }) => {
+    const tr = document.createElement("tr");
+    const labeled = counts.pass + counts.fail;
+    const cells = [
+      label,
+      ...(showRows ? [counts.rows] : []),
+      counts.total,
+      counts.pass,
+      counts.fail,
+      counts.unlabeled,
+      null, // pass rate bar
+      formatRate(counts.total - counts.unlabeled, counts.total)
+    ];
+    cells.forEach((value) => {
+      const td = document.createElement("td");
+      if (value === null) {
+        td.appendChild(buildRateBar(counts.pass, labeled));
       } else {
-        activeIndex = null;
+        td.textContent = value;
       }
-    } else if (deletedIndexInFiltered < activeIndex) {
-      // Deleted a row before the active one - decrement index
-      activeIndex--;
-    }
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  });
+  table.appendChild(tbody);
+
+  section.appendChild(table);
+  return section;
+}
+
+// Pass rate over labeled responses, drawn as a small pass/fail bar
+function buildRateBar(pass, labeled) {
+  const wrap = document.createElement("div");
+  wrap.className = "rate";
+
+  const bar = document.createElement("div");
+  bar.className = "rate-bar";
+  const fill = document.createElement("div");
+  fill.className = "rate-fill";
+  fill.style.width = labeled === 0 ? "0%" : `${(pass / labeled) * 100}%`;
+  bar.appendChild(fill);
+  if (labeled === 0) bar.classList.add("empty");
+
+  const text = document.createElement("span");
+  text.textContent = formatRate(pass, labeled);
+
+  wrap.appendChild(bar);
+  wrap.appendChild(text);
+  return wrap;
+}
+
+function renderDashboard() {
+  dashboard.innerHTML = "";
+  if (filteredRows.length === 0) {
+    dashboard.innerHTML = `<div class="hint">No rows to aggregate.</div>`;
+    return;
   }
 
-  // Re-render
-  renderRowList(filteredRows);
-  
-  // If there's still an active row, render it
-  if (activeIndex !== null && filteredRows.length > 0 && activeIndex < filteredRows.length) {
-    renderChat(filteredRows[activeIndex]);
-  } else {
-    // Clear chat display
-    chat.innerHTML = "";
-    meta.innerHTML = "";
-    currentRow = null;
-    activeIndex = null;
+  const { overall, groups, positions } = aggregateDashboard(filteredRows);
+
+  // Summary cards
+  const cards = document.createElement("div");
+  cards.className = "dashboard-cards";
+  [
+    ["Rows", overall.rows],
+    ["Responses", overall.total],
+    ["✓ Pass", overall.pass],
+    ["✗ Fail", overall.fail],
+    ["○ Unlabeled", overall.unlabeled],
+    ["Pass rate", formatRate(overall.pass, overall.pass + overall.fail)],
+    ["Labeled", formatRate(overall.total - overall.unlabeled, overall.total)]
+  ].forEach(([label, value]) => {
+    const card = document.createElement("div");
+    card.className = "dashboard-card";
+    const v = document.createElement("div");
+    v.className = "dashboard-card-value";
+    v.textContent = value;
+    const l = document.createElement("div");
+    l.className = "dashboard-card-label";
+    l.textContent = label;
+    card.appendChild(v);
+    card.appendChild(l);
+    cards.appendChild(card);
+  });
+  dashboard.appendChild(cards);
+
+  DASHBOARD_GROUPS.forEach((col) => {
+    if (groups[col].size === 0) return;
+    const entries = Array.from(groups[col].entries())
+      .sort(([a], [b]) => {
+        // Weeks in chronological order, everything else alphabetically
+        if (col === "Date") return (Number(a) || Infinity) - (Number(b) || Infinity);
+        return a.localeCompare(b, undefined, { numeric: true });
+      })
+      .map(([, entry]) => entry);
+    const title = col === "Date" ? "By week" : `By ${col}`;
+    dashboard.appendChild(buildDashboardTable(title, col === "Date" ? "Week" : col, entries));
+  });
+
+  const positionEntries = [];
+  positions.forEach((counts, index) => {
+    if (counts) positionEntries.push({ label: `Turn ${index + 1}`, counts });
+  });
+  if (positionEntries.length > 0) {
+    dashboard.appendChild(buildDashboardTable("By exchange position", "Turn", positionEntries, false));
   }
+}
 
-  // Update filters (in case deleted row was the last with a certain value)
-  buildFilters();
+// The dashboard opens beside the transcript so labels can be edited while it is shown
+let dashboardOpen = false;
+
+function setDashboardOpen(open) {
+  dashboardOpen = open;
+  dashboardPanel.style.display = open ? "" : "none";
+  dashboardToggle.classList.toggle("active", open);
+  if (open && activeView !== "transcriptView") setContentView("transcriptView");
+  else refreshDashboard();
 }
 
-let currentRow = null; // Store reference to currently displayed row
+// From another view the button brings the open dashboard back rather than closing it
+dashboardToggle.addEventListener("click", () => setDashboardOpen(!dashboardOpen || activeView !== "transcriptView"));
+el("dashboardCloseBtn").addEventListener("click", () => setDashboardOpen(false));
 
-function renderChat(row) {
-  chat.innerHTML = "";
-  meta.innerHTML = "";
-  currentRow = row; // Store reference to current row
+// Re-render only while the dashboard is on screen
+function refreshDashboard() {
+  if (dashboardOpen && activeView === "transcriptView") renderDashboard();
+}
 
-  // Display metadata columns nicely formatted, excluding Expected columns
-  const metadataCols = identifierCols.filter((c) => {
-    const normalized = c.trim();
-    // Exclude Expected columns from metadata display
-    return !/^Expected$/i.test(normalized) &&
-           !/^Expected_\d+$/i.test(normalized) &&
-           !/^Expected\d+$/i.test(normalized);
-  });
-  
-  metadataCols.forEach((c) => {
-    const b = document.createElement("div");
-    b.className = "meta-item";
+// --- Compare view ---
+// Two rows side by side (usually the same chat run in two environments),
+// aligned by turn, with a word-level diff of the responses.
+const MAX_DIFF_CELLS = 4000000; // LCS table size above which a response is diffed as a whole
+let compareRows = [null, null]; // [left, right]
+let externalCompareRows = new Set(); // Rows from another workbook; shown read-only
+
+function rowOptionLabel(row) {
+  const location = stableValue(row["Location Run"]);
+  const chatId = stableValue(row["Chat Id"]);
+  return [getRowTitle(row), location, chatId && `chat ${chatId}`].filter(Boolean).join(" · ");
+}
+
+// Most likely counterpart of a row: the same chat, preferably from another environment
+function findCompareCandidate(row) {
+  if (isBlank(row["Chat Id"])) return null;
+  const others = allRows.filter(r => r !== row && stableValue(r["Chat Id"]) === stableValue(row["Chat Id"]));
+  return others.find(r => stableValue(r["Location Run"]) !== stableValue(row["Location Run"])) || others[0] || null;
+}
+
+function openCompare(left, right = findCompareCandidate(left)) {
+  compareRows = [left, right];
+  externalCompareRows = new Set(compareRows.filter(row => row && !allRows.includes(row)));
+  setContentView("compareView");
+}
+
+function tokenizeWords(text) {
+  return text.split(/(\s+)/).filter(token => token !== "");
+}
+
+// Word-level diff by longest common subsequence: [{ type: "same" | "removed" | "added", text }]
+function diffWords(before, after) {
+  const a = tokenizeWords(before);
+  const b = tokenizeWords(after);
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) last.text += text;
+    else parts.push({ type, text });
+  };
+
+  // Common prefix and suffix don't need the table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+  if (start > 0) push("same", a.slice(0, start).join(""));
+
+  const x = a.slice(start, endA);
+  const y = b.slice(start, endB);
+  const width = y.length + 1;
+  if ((x.length + 1) * width > MAX_DIFF_CELLS) {
+    if (x.length) push("removed", x.join(""));
+    if (y.length) push("added", y.join(""));
+  } else {
+    // table[i * width + j] = LCS length of x[i..] and y[j..]
+    const table = new Uint32Array((x.length + 1) * width);
+    for (let i = x.length - 1; i >= 0; i--) {
+      for (let j = y.length - 1; j >= 0; j--) {
+        table[i * width + j] = x[i] === y[j]
+          ? table[(i + 1) * width + j + 1] + 1
+          : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < x.length && j < y.length) {
+      if (x[i] === y[j]) {
+        push("same", x[i++]);
+        j++;
+      } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+        push("removed", x[i++]);
+      } else {
+        push("added", y[j++]);
+      }
+    }
+    while (i < x.length) push("removed", x[i++]);
+    while (j < y.length) push("added", y[j++]);
+  }
+
+  if (endA < a.length) push("same", a.slice(endA).join(""));
+  return parts;
+}
+
+// Show one side of a diff: the left keeps removed words, the right keeps added ones
+function renderDiffInto(element, parts, side) {
+  element.innerHTML = "";
+  parts.forEach(part => {
+    if (part.type === "same") {
+      element.appendChild(document.createTextNode(part.text));
+    } else if (part.type === "removed" && side === "left") {
+      const del = document.createElement("del");
+      del.className = "diff-removed";
+      del.textContent = part.text;
+      element.appendChild(del);
+    } else if (part.type === "added" && side === "right") {
+      const ins = document.createElement("ins");
+      ins.className = "diff-added";
+      ins.textContent = part.text;
+      element.appendChild(ins);
+    }
+  });
+}
+
+function expectedLabelClass(value) {
+  const normalized = normalizeExpected(value);
+  if (normalized === "yes") return "expected-yes-label";
+  if (normalized === "no") return "expected-no-label";
+  return "expected-unknown-label";
+}
+
+function buildCompareSide(row, turn, diffParts, side) {
+  const cell = document.createElement("div");
+  cell.className = "compare-cell";
+  if (!turn) {
+    cell.classList.add("compare-missing");
+    cell.textContent = "No exchange at this turn";
+    return cell;
+  }
+
+  if (turn.query !== null) {
+    const query = document.createElement("div");
+    query.className = "compare-query";
+    query.textContent = turn.query;
+    cell.appendChild(query);
+  }
+  if (turn.response === null) return cell;
+
+  const exchangeIndex = turn.turn - 1;
+  const label = document.createElement("select");
+  label.className = `expected-select ${expectedLabelClass(turn.expected)}`;
+  [["", "Not Set"], ["Yes", "✓ Expected"], ["No", "✗ Unexpected"]].forEach(([value, text]) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = text;
+    label.appendChild(option);
+  });
+  const normalized = normalizeExpected(turn.expected);
+  label.value = normalized === "yes" ? "Yes" : normalized === "no" ? "No" : "";
+  // Rows from another workbook can't be saved, so they aren't editable
+  const readOnly = externalCompareRows.has(row);
+  label.disabled = readOnly;
+  label.addEventListener("change", () => {
+    updateExpectedInRow(row, exchangeIndex, label.value);
+    label.className = `expected-select ${expectedLabelClass(label.value)}`;
+    renderCompareSummary();
+  });
+  cell.appendChild(label);
+
+  const response = document.createElement("div");
+  response.className = "compare-response";
+  if (diffParts) renderDiffInto(response, diffParts, side);
+  else response.textContent = turn.response;
+  cell.appendChild(response);
+
+  const note = document.createElement("textarea");
+  note.className = "editable-note";
+  note.rows = 2;
+  note.placeholder = "Add a note...";
+  note.value = turn.note || "";
+  note.readOnly = readOnly;
+  note.addEventListener("blur", () => updateNoteInRow(row, exchangeIndex, note.value));
+  cell.appendChild(note);
+  return cell;
+}
+
+function buildComparePicker(side) {
+  const select = document.createElement("select");
+  select.className = "select";
+  select.innerHTML = `<option value="">Choose a row...</option>`;
+  allRows.forEach((row, index) => {
+    const option = document.createElement("option");
+    option.value = index;
+    option.textContent = rowOptionLabel(row);
+    select.appendChild(option);
+  });
+  externalCompareRows.forEach(row => {
+    const option = document.createElement("option");
+    option.value = `external-${[...externalCompareRows].indexOf(row)}`;
+    option.textContent = `${rowOptionLabel(row)} (other workbook)`;
+    select.appendChild(option);
+  });
+  const row = compareRows[side];
+  if (externalCompareRows.has(row)) select.value = `external-${[...externalCompareRows].indexOf(row)}`;
+  else select.value = allRows.includes(row) ? String(allRows.indexOf(row)) : "";
+  select.addEventListener("change", () => {
+    if (select.value.startsWith("external-")) {
+      compareRows[side] = [...externalCompareRows][parseInt(select.value.slice("external-".length))];
+    } else {
+      compareRows[side] = select.value === "" ? null : allRows[parseInt(select.value)];
+    }
+    renderCompare();
+  });
+  return select;
+}
+
+// Counts across the aligned turns, kept current as labels are edited
+function renderCompareSummary() {
+  const summary = compareView.querySelector(".compare-summary");
+  const [left, right] = compareRows;
+  if (!summary || !left || !right) return;
+  const leftTurns = new Map(rowToTurns(left).map(t => [t.turn, t]));
+  const rightTurns = new Map(rowToTurns(right).map(t => [t.turn, t]));
+  const turns = new Set([...leftTurns.keys(), ...rightTurns.keys()]);
+  let changedResponses = 0;
+  let changedLabels = 0;
+  turns.forEach(turn => {
+    const a = leftTurns.get(turn);
+    const b = rightTurns.get(turn);
+    if (stableValue(a?.response).trim() !== stableValue(b?.response).trim()) changedResponses++;
+    if (normalizeExpected(a?.expected) !== normalizeExpected(b?.expected)) changedLabels++;
+  });
+  summary.textContent = `${turns.size} turn(s) · ${changedResponses} response(s) differ · ${changedLabels} label(s) differ`;
+}
+
+function renderCompare() {
+  // Rows can disappear through deletes, undo or switching sheets
+  compareRows = compareRows.map(row => (row && (allRows.includes(row) || externalCompareRows.has(row)) ? row : null));
+  compareContainer.innerHTML = "";
+
+  const pickers = document.createElement("div");
+  pickers.className = "compare-pickers";
+  const swapBtn = document.createElement("button");
+  swapBtn.className = "btn secondary btn-small";
+  swapBtn.textContent = "⇄";
+  swapBtn.title = "Swap sides";
+  swapBtn.addEventListener("click", () => {
+    compareRows = [compareRows[1], compareRows[0]];
+    renderCompare();
+  });
+  pickers.appendChild(buildComparePicker(0));
+  pickers.appendChild(swapBtn);
+  pickers.appendChild(buildComparePicker(1));
+  compareContainer.appendChild(pickers);
+
+  const [left, right] = compareRows;
+  if (!left || !right) {
+    const hint = document.createElement("div");
+    hint.className = "hint";
+    hint.textContent = allRows.length < 2 ? "Load at least two rows to compare." : "Choose two rows to compare.";
+    compareContainer.appendChild(hint);
+    return;
+  }
+
+  const summary = document.createElement("div");
+  summary.className = "compare-summary hint";
+  compareContainer.appendChild(summary);
+  renderCompareSummary();
+
+  const leftTurns = new Map(rowToTurns(left).map(t => [t.turn, t]));
+  const rightTurns = new Map(rowToTurns(right).map(t => [t.turn, t]));
+  const turnNumbers = [...new Set([...leftTurns.keys(), ...rightTurns.keys()])].sort((a, b) => a - b);
+
+  turnNumbers.forEach(number => {
+    const a = leftTurns.get(number);
+    const b = rightTurns.get(number);
+    const section = document.createElement("div");
+    section.className = "compare-turn";
+
+    const heading = document.createElement("div");
+    heading.className = "compare-turn-title";
+    heading.textContent = `Turn ${number}`;
+    if (a && b && stableValue(a.query).trim() !== stableValue(b.query).trim()) {
+      const warning = document.createElement("span");
+      warning.className = "compare-warning";
+      warning.textContent = "different question";
+      heading.appendChild(warning);
+    }
+    section.appendChild(heading);
+
+    const diffParts = a?.response != null && b?.response != null ? diffWords(a.response, b.response) : null;
+    const cells = document.createElement("div");
+    cells.className = "compare-cells";
+    cells.appendChild(buildCompareSide(left, a, diffParts, "left"));
+    cells.appendChild(buildCompareSide(right, b, diffParts, "right"));
+    section.appendChild(cells);
+    compareContainer.appendChild(section);
+  });
+}
+
+function refreshCompare() {
+  if (activeView === "compareView") renderCompare();
+}
+
+// --- Regression report ---
+// Pairs conversations from a baseline and a candidate run (two Location Run
+// values in this sheet, or this sheet against another workbook) and lists the
+// turns whose label flipped or whose response changed a lot.
+const DEFAULT_SIMILARITY_THRESHOLD = 60; // Percent of shared words below which a response counts as changed
+const REGRESSION_TYPES = {
+  regression: "✓ → ✗ Regression",
+  fix: "✗ → ✓ Fixed",
+  changed: "Response changed"
+};
+
+let regressionBaselineRows = null; // Rows from another workbook, when that is the baseline
+let regressionBaselineName = "";
+let regressionResult = null;
+let regressionStale = false; // Rows or labels changed since the report was built
+
+function normalizeQueryText(text) {
+  return stableValue(text).toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+function regressionPairKey(row, matchBy) {
+  if (matchBy === "chat") {
+    return isBlank(row["Chat Id"]) ? null : stableValue(row["Chat Id"]).trim();
+  }
+  const queries = rowToTurns(row).map(t => normalizeQueryText(t.query)).filter(Boolean);
+  return queries.length > 0 ? queries.join("\n") : null;
+}
+
+// Share of words two responses have in common, 0..1
+function responseSimilarity(a, b) {
+  if (a.trim() === b.trim()) return 1;
+  const countWords = (text) => tokenizeWords(text).filter(t => t.trim()).length;
+  const total = countWords(a) + countWords(b);
+  if (total === 0) return 1;
+  const same = diffWords(a, b).filter(p => p.type === "same").reduce((n, p) => n + countWords(p.text), 0);
+  return (2 * same) / total;
+}
+
+// Rows with the same key are paired in order; extra rows on either side stay unmatched
+function pairRegressionRows(baselineRows, candidateRows, matchBy) {
+  const byKey = new Map();
+  baselineRows.forEach(row => {
+    const key = regressionPairKey(row, matchBy);
+    if (key === null) return;
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(row);
+  });
+
+  const pairs = [];
+  let candidateOnly = 0;
+  candidateRows.forEach(row => {
+    const key = regressionPairKey(row, matchBy);
+    const match = key === null ? null : byKey.get(key)?.shift();
+    if (match) pairs.push({ baseline: match, candidate: row });
+    else candidateOnly++;
+  });
+  let baselineOnly = 0;
+  byKey.forEach(rows => { baselineOnly += rows.length; });
+  return { pairs, baselineOnly, candidateOnly };
+}
+
+function buildRegressionReport(baselineRows, candidateRows, { matchBy, threshold }) {
+  const { pairs, baselineOnly, candidateOnly } = pairRegressionRows(baselineRows, candidateRows, matchBy);
+  const items = [];
+  const projects = new Map();
+
+  pairs.forEach(({ baseline, candidate }) => {
+    const project = stableValue(candidate["Project Name"]) || stableValue(baseline["Project Name"]) || "(no project)";
+    if (!projects.has(project)) projects.set(project, { project, pairs: 0, regression: 0, fix: 0, changed: 0 });
+    const totals = projects.get(project);
+    totals.pairs++;
+
+    const baselineTurns = new Map(rowToTurns(baseline).map(t => [t.turn, t]));
+    rowToTurns(candidate).forEach(turn => {
+      const before = baselineTurns.get(turn.turn);
+      if (!before || before.response === null || turn.response === null) return;
+
+      const from = normalizeExpected(before.expected);
+      const to = normalizeExpected(turn.expected);
+      const similarity = responseSimilarity(before.response, turn.response);
+      let type = null;
+      if (from === "yes" && to === "no") type = "regression";
+      else if (from === "no" && to === "yes") type = "fix";
+      else if (similarity * 100 < threshold) type = "changed";
+      if (!type) return;
+
+      totals[type]++;
+      items.push({
+        type, project, baseline, candidate,
+        turn: turn.turn,
+        query: turn.query ?? before.query ?? "",
+        from: before.expected || "",
+        to: turn.expected || "",
+        similarity,
+        baselineResponse: before.response,
+        candidateResponse: turn.response
+      });
+    });
+  });
+
+  // Regressions first, then fixes, then changed responses
+  const order = Object.keys(REGRESSION_TYPES);
+  items.sort((a, b) => order.indexOf(a.type) - order.indexOf(b.type) || a.project.localeCompare(b.project) || a.turn - b.turn);
+  const projectTotals = [...projects.values()].sort((a, b) => b.regression - a.regression || a.project.localeCompare(b.project));
+  return { items, projectTotals, pairs: pairs.length, baselineOnly, candidateOnly };
+}
+
+function locationRunValues() {
+  return [...new Set(allRows.map(row => stableValue(row["Location Run"])).filter(Boolean))].sort();
+}
+
+function fillRunSelect(select, values, preferred) {
+  const previous = select.value;
+  select.innerHTML = "";
+  values.forEach(value => {
+    const opt = document.createElement("option");
+    opt.value = value;
+    opt.textContent = value;
+    select.appendChild(opt);
+  });
+  if (values.includes(previous)) select.value = previous;
+  else if (values.includes(preferred)) select.value = preferred;
+}
+
+// Keep the source controls in step with the loaded rows
+function renderRegressionControls() {
+  const runs = locationRunValues();
+  const fromWorkbook = regressionSource.value === "workbook";
+  fillRunSelect(regressionBaselineRun, runs, runs[0]);
+  fillRunSelect(regressionCandidateRun, fromWorkbook ? ["", ...runs] : runs, fromWorkbook ? "" : runs[1]);
+  if (fromWorkbook && regressionCandidateRun.options[0]) regressionCandidateRun.options[0].textContent = "All rows in this sheet";
+
+  regressionBaselineRunGroup.style.display = fromWorkbook ? "none" : "";
+  regressionWorkbookGroup.style.display = fromWorkbook ? "" : "none";
+  regressionWorkbookStatus.textContent = regressionBaselineRows
+    ? `${regressionBaselineRows.length} row(s) from ${regressionBaselineName}`
+    : "No workbook loaded";
+  regressionRunBtn.disabled = fromWorkbook ? !regressionBaselineRows || allRows.length === 0 : runs.length < 2;
+}
+
+// The report settings chosen in the controls
+function regressionOptions() {
+  const parsed = parseFloat(regressionThreshold.value);
+  return {
+    source: regressionSource.value,
+    baselineRun: regressionBaselineRun.value,
+    candidateRun: regressionCandidateRun.value,
+    matchBy: regressionMatchBy.value,
+    threshold: Math.min(100, Math.max(0, Number.isFinite(parsed) ? parsed : DEFAULT_SIMILARITY_THRESHOLD))
+  };
+}
+
+function computeRegressionReport(options) {
+  let baselineRows;
+  let candidateRows;
+  let baselineLabel;
+  let candidateLabel;
+  if (options.source === "workbook") {
+    baselineRows = regressionBaselineRows || [];
+    baselineLabel = regressionBaselineName;
+    const run = options.candidateRun;
+    candidateRows = run ? allRows.filter(row => stableValue(row["Location Run"]) === run) : allRows;
+    candidateLabel = run || currentSheet || "this sheet";
+  } else {
+    baselineLabel = options.baselineRun;
+    candidateLabel = options.candidateRun;
+    baselineRows = allRows.filter(row => stableValue(row["Location Run"]) === baselineLabel);
+    candidateRows = allRows.filter(row => stableValue(row["Location Run"]) === candidateLabel);
+  }
+
+  return {
+    ...buildRegressionReport(baselineRows, candidateRows, { matchBy: options.matchBy, threshold: options.threshold }),
+    baselineLabel,
+    candidateLabel,
+    threshold: options.threshold,
+    options
+  };
+}
+
+function runRegressionReport() {
+  const options = regressionOptions();
+  if (options.source !== "workbook" && options.baselineRun === options.candidateRun) {
+    alert("Choose two different Location Run values");
+    return;
+  }
+  regressionResult = computeRegressionReport(options);
+  regressionStale = false;
+  renderRegressionReport();
+}
+
+function renderRegressionReport() {
+  regressionReport.innerHTML = "";
+  regressionExportBtn.disabled = !regressionResult;
+  if (!regressionResult) return;
+  const result = regressionResult;
+
+  const summary = document.createElement("div");
+  summary.className = "hint";
+  summary.textContent = `${result.baselineLabel} → ${result.candidateLabel}: ${result.pairs} paired conversation(s), ` +
+    `${result.baselineOnly} only in baseline, ${result.candidateOnly} only in candidate.`;
+  regressionReport.appendChild(summary);
+
+  const cards = document.createElement("div");
+  cards.className = "dashboard-cards";
+  Object.entries(REGRESSION_TYPES).forEach(([type, label]) => {
+    const card = document.createElement("div");
+    card.className = `dashboard-card regression-${type}`;
+    card.innerHTML = `<div class="dashboard-card-value">${result.items.filter(i => i.type === type).length}</div>`;
+    const cardLabel = document.createElement("div");
+    cardLabel.className = "dashboard-card-label";
+    cardLabel.textContent = label;
+    card.appendChild(cardLabel);
+    cards.appendChild(card);
+  });
+  regressionReport.appendChild(cards);
+
+  if (result.projectTotals.length > 0) {
+    const section = document.createElement("div");
+    section.className = "dashboard-section";
+    section.innerHTML = "<h4>By project</h4>";
+    const table = document.createElement("table");
+    table.className = "dashboard-table";
+    table.innerHTML = "<thead><tr><th>Project</th><th>Pairs</th><th>Regressions</th><th>Fixed</th><th>Changed</th></tr></thead>";
+    const tbody = document.createElement("tbody");
+    result.projectTotals.forEach(totals => {
+      const tr = document.createElement("tr");
+      [totals.project, totals.pairs, totals.regression, totals.fix, totals.changed].forEach(value => {
+        const td = document.createElement("td");
+        td.textContent = value;
+        tr.appendChild(td);
+      });
+      tbody.appendChild(tr);
+    });
+    table.appendChild(tbody);
+    section.appendChild(table);
+    regressionReport.appendChild(section);
+  }
+
+  if (result.items.length === 0) {
+    const none = document.createElement("div");
+    none.className = "hint";
+    none.textContent = "No label changes or significantly changed responses.";
+    regressionReport.appendChild(none);
+    return;
+  }
+
+  const list = document.createElement("div");
+  list.className = "regression-list";
+  result.items.forEach(item => {
+    const entry = document.createElement("div");
+    entry.className = `regression-item regression-${item.type}`;
+
+    const title = document.createElement("div");
+    title.className = "regression-item-title";
+    const badge = document.createElement("span");
+    badge.className = "regression-badge";
+    badge.textContent = REGRESSION_TYPES[item.type];
+    title.appendChild(badge);
+    title.appendChild(document.createTextNode(
+      ` ${item.project} · ${getRowTitle(item.candidate)} · turn ${item.turn} · ${Math.round(item.similarity * 100)}% similar`
+    ));
+
+    const query = document.createElement("div");
+    query.className = "rowsub";
+    query.textContent = item.query;
+
+    const compareBtn = document.createElement("button");
+    compareBtn.className = "btn secondary btn-small";
+    compareBtn.textContent = "Compare";
+    compareBtn.addEventListener("click", () => openCompare(item.baseline, item.candidate));
+
+    entry.appendChild(title);
+    entry.appendChild(query);
+    entry.appendChild(compareBtn);
+    list.appendChild(entry);
+  });
+  regressionReport.appendChild(list);
+}
+
+function exportRegressionReport() {
+  if (!regressionResult) return;
+  const result = regressionResult;
+  const wb = XLSX.utils.book_new();
+
+  const itemRows = [["Change", "Project", "Baseline row", "Candidate row", "Chat Id", "Turn", "Baseline label", "Candidate label",
+    "Similarity %", "Question", "Baseline response", "Candidate response"]];
+  result.items.forEach(item => {
+    itemRows.push([
+      REGRESSION_TYPES[item.type], item.project, getRowTitle(item.baseline), getRowTitle(item.candidate),
+      stableValue(item.candidate["Chat Id"]), item.turn, item.from, item.to, Math.round(item.similarity * 100),
+      item.query, item.baselineResponse, item.candidateResponse
+    ]);
+  });
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(itemRows), "Regressions");
+
+  const totalRows = [["Project", "Pairs", "Regressions", "Fixed", "Changed"]];
+  result.projectTotals.forEach(t => totalRows.push([t.project, t.pairs, t.regression, t.fix, t.changed]));
+  totalRows.push([]);
+  totalRows.push(["Baseline", result.baselineLabel]);
+  totalRows.push(["Candidate", result.candidateLabel]);
+  totalRows.push(["Similarity threshold %", result.threshold]);
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(totalRows), "By project");
+
+  XLSX.writeFile(wb, "regression-report.xlsx");
+}
+
+// Rebuild the report with the settings it was built with, at once while it is
+// shown and otherwise the next time it is opened
+function refreshRegressionView() {
+  if (regressionResult) regressionStale = true;
+  if (activeView === "regressionView") showRegressionView();
+}
+
+function showRegressionView() {
+  renderRegressionControls();
+  if (!regressionResult || !regressionStale) return;
+  regressionResult = computeRegressionReport(regressionResult.options);
+  regressionStale = false;
+  renderRegressionReport();
+}
+
+regressionSource.addEventListener("change", renderRegressionControls);
+regressionRunBtn.addEventListener("click", runRegressionReport);
+regressionExportBtn.addEventListener("click", exportRegressionReport);
+
+regressionFile.addEventListener("change", async (e) => {
+  const file = e.target.files?.[0];
+  if (!file) return;
+  regressionFile.value = "";
+  try {
+    const wb = /\.(csv|tsv|txt)$/i.test(file.name)
+      ? await readDelimitedWorkbook(file)
+      : XLSX.read(await file.arrayBuffer(), { type: "array" });
+    // Use the sheet with the current sheet's name if there is one, else the first
+    const sheet = wb.SheetNames.includes(currentSheet) ? currentSheet : wb.SheetNames[0];
+    const parsed = parseWorksheet(wb.Sheets[sheet], await chooseSchemaForSheet(wb, sheet));
+    regressionBaselineRows = parsed.rows;
+    regressionBaselineName = `${file.name} / ${sheet}`;
+    renderRegressionControls();
+  } catch (error) {
+    alert(`Error reading ${file.name}: ${error.message}`);
+  }
+});
+
+// --- Full-text search ---
+let searchQuery = { include: [], exclude: [] }; // Lowercased terms/phrases
+let searchHits = []; // Highlighted elements in the rendered chat
+let searchHitIndex = -1;
+
+// Parse `foo "exact phrase" -bar -"not this"` into include/exclude lists
+function parseSearchQuery(text) {
+  const query = { include: [], exclude: [] };
+  const pattern = /(-?)"([^"]*)"?|(-?)(\S+)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const negated = match[1] === "-" || match[3] === "-";
+    const term = (match[2] !== undefined ? match[2] : match[4]).trim().toLowerCase();
+    if (!term) continue;
+    (negated ? query.exclude : query.include).push(term);
+  }
+  return query;
+}
+
+function isSearchActive() {
+  return searchQuery.include.length > 0 || searchQuery.exclude.length > 0;
+}
+
+// Text searched for a row: every Q*, R* and N* cell plus the metadata columns
+function getRowSearchText(row) {
+  return Object.keys(row)
+    .filter((col) => /^[QRN]\d+$/i.test(col) || identifierCols.includes(col))
+    .map((col) => stableValue(row[col]))
+    .join("\n")
+    .toLowerCase();
+}
+
+function matchesSearch(row, query) {
+  if (query.include.length === 0 && query.exclude.length === 0) return true;
+  const text = getRowSearchText(row);
+  return query.include.every((term) => text.includes(term)) &&
+         !query.exclude.some((term) => text.includes(term));
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Wrap every occurrence of the include terms inside `container` with <mark>
+function highlightSearchTerms(container, terms) {
+  if (terms.length === 0) return [];
+  const sorted = [...terms].sort((a, b) => b.length - a.length); // Prefer longest match
+  const regex = new RegExp(sorted.map(escapeRegExp).join("|"), "gi");
+
+  const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+  const textNodes = [];
+  while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+  const marks = [];
+  textNodes.forEach((node) => {
+    const text = node.nodeValue;
+    regex.lastIndex = 0;
+    if (!regex.test(text)) return;
+
+    const fragment = document.createDocumentFragment();
+    let lastIndex = 0;
+    regex.lastIndex = 0;
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+      if (match.index > lastIndex) {
+        fragment.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
+      }
+      const mark = document.createElement("mark");
+      mark.className = "search-hit";
+      mark.textContent = match[0];
+      fragment.appendChild(mark);
+      marks.push(mark);
+      lastIndex = match.index + match[0].length;
+    }
+    if (lastIndex < text.length) {
+      fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+    }
+    node.parentNode.replaceChild(fragment, node);
+  });
+  return marks;
+}
+
+// Highlight matches in the rendered chat and show hit navigation
+function applySearchHighlights() {
+  searchHits = [];
+  searchHitIndex = -1;
+  const terms = searchQuery.include;
+
+  if (terms.length > 0) {
+    chat.querySelectorAll(".bubble").forEach((bubble) => {
+      const text = bubble.querySelector(".message-text");
+      if (text) searchHits.push(...highlightSearchTerms(text, terms));
+
+      // Notes live in textareas, so flag the whole note instead
+      const note = bubble.querySelector(".editable-note");
+      if (note && terms.some((term) => note.value.toLowerCase().includes(term))) {
+        note.classList.add("search-hit-note");
+        searchHits.push(note);
+      }
+    });
+  }
+
+  renderSearchNav();
+}
+
+function renderSearchNav() {
+  searchNav.innerHTML = "";
+  if (searchQuery.include.length === 0) {
+    searchNav.style.display = "none";
+    return;
+  }
+  searchNav.style.display = "flex";
+
+  const label = document.createElement("span");
+  label.className = "search-nav-label";
+  if (searchHits.length === 0) {
+    label.textContent = "No matches in this chat's messages";
+  } else if (searchHitIndex === -1) {
+    label.textContent = `${searchHits.length} match(es)`;
+  } else {
+    label.textContent = `Match ${searchHitIndex + 1} of ${searchHits.length}`;
+  }
+
+  const prevBtn = document.createElement("button");
+  prevBtn.className = "btn secondary btn-small";
+  prevBtn.textContent = "▲ Prev";
+  prevBtn.disabled = searchHits.length === 0;
+  prevBtn.addEventListener("click", () => gotoSearchHit(-1));
+
+  const nextBtn = document.createElement("button");
+  nextBtn.className = "btn secondary btn-small";
+  nextBtn.textContent = "▼ Next";
+  nextBtn.disabled = searchHits.length === 0;
+  nextBtn.addEventListener("click", () => gotoSearchHit(1));
+
+  searchNav.appendChild(label);
+  searchNav.appendChild(prevBtn);
+  searchNav.appendChild(nextBtn);
+}
+
+function gotoSearchHit(step) {
+  if (searchHits.length === 0) return;
+  if (searchHitIndex >= 0) searchHits[searchHitIndex].classList.remove("current");
+  searchHitIndex = (searchHitIndex + step + searchHits.length) % searchHits.length;
+  const hit = searchHits[searchHitIndex];
+  hit.classList.add("current");
+  if (hit.scrollIntoView) hit.scrollIntoView({ block: "center", behavior: "smooth" });
+  renderSearchNav();
+}
+
+let searchDebounce = null;
+rowSearch.addEventListener("input", () => {
+  clearTimeout(searchDebounce);
+  searchDebounce = setTimeout(() => {
+    searchQuery = parseSearchQuery(rowSearch.value);
+    applyAll();
+  }, 200);
+});
+
+// Enter / Shift+Enter step through hits in the open chat
+rowSearch.addEventListener("keydown", (e) => {
+  if (e.key === "Enter") {
+    e.preventDefault();
+    gotoSearchHit(e.shiftKey ? -1 : 1);
+  }
+});
+
+// --- Row list + chat rendering ---
+let activeIndex = null;
+
+function renderRowList(rows) {
+  rowList.innerHTML = "";
+  if (rows.length === 0) {
+    rowList.innerHTML = `<div class="hint">No rows match ${isSearchActive() ? "search and filters" : "filters"}.</div>`;
+    return;
+  }
+
+  rows.forEach((row, i) => {
+    const item = document.createElement("div");
+    item.className = "rowitem" + (i === activeIndex ? " active" : "");
+
+    const titleRow = document.createElement("div");
+    titleRow.style.display = "flex";
+    titleRow.style.justifyContent = "space-between";
+    titleRow.style.alignItems = "center";
+    titleRow.style.gap = "8px";
+
+    const title = document.createElement("div");
+    title.className = "rowtitle";
+    title.textContent = getRowTitle(row);
+    title.style.flex = "1";
+
+    // Delete button
+    const deleteBtn = document.createElement("button");
+    deleteBtn.textContent = "×";
+    deleteBtn.className = "delete-row-btn";
+    deleteBtn.title = "Delete row";
+    deleteBtn.onclick = (e) => {
+      e.stopPropagation(); // Prevent row selection when clicking delete
+      deleteRow(row);
+    };
+
+    titleRow.appendChild(title);
+    titleRow.appendChild(deleteBtn);
+
+    const sub = document.createElement("div");
+    sub.className = "rowsub";
+    const parts = [];
+    if (!isBlank(row["Priority"])) parts.push(`Priority: ${row["Priority"]}`);
+    if (!isBlank(row["Project Name"])) parts.push(row["Project Name"]);
+    if (!isBlank(row["User Email"])) parts.push(row["User Email"]);
+    sub.textContent = parts.length > 0 ? parts.join(" • ") : "No metadata";
+    const stats = buildRowStats(row);
+    if (stats) sub.appendChild(stats);
+
+    item.appendChild(titleRow);
+    item.appendChild(sub);
+
+    item.onclick = () => {
+      activeIndex = i;
+      renderRowList(rows);
+      renderChat(row);
+    };
+
+    rowList.appendChild(item);
+  });
+
+  // autoselect first row if none active
+  if (activeIndex === null && rows.length > 0) {
+    activeIndex = 0;
+    renderRowList(rows);
+    renderChat(rows[0]);
+  }
+}
+
+// Show a row in the chat panel, clearing filters and search if they hide it
+function selectRow(row) {
+  let index = filteredRows.indexOf(row);
+  if (index === -1) {
+    resetFilters();
+    applyAll();
+    index = filteredRows.indexOf(row);
+  }
+  activeIndex = index === -1 ? null : index;
+  renderRowList(filteredRows);
+  renderChat(row);
+}
+
+function deleteRow(rowToDelete) {
+  // Find the row in allRows - by reference first, then by comparing properties
+  let indexInAllRows = allRows.indexOf(rowToDelete);
+  if (indexInAllRows === -1) {
+    indexInAllRows = allRows.findIndex(row => {
+      // Compare by Id if available, otherwise compare all properties
+      if (rowToDelete["Id"] && row["Id"]) {
+        return rowToDelete["Id"] === row["Id"];
+      }
+      // Fallback: compare all key-value pairs
+      const keys = Object.keys(rowToDelete);
+      return keys.every(key => rowToDelete[key] === row[key]);
+    });
+  }
+
+  if (indexInAllRows === -1) {
+    console.error("Row not found in allRows");
+    return;
+  }
+
+  const deleted = allRows[indexInAllRows];
+  // Position in the visible list, taken before the row disappears from it
+  const deletedIndexInFiltered = filteredRows.indexOf(deleted);
+
+  // Remove from allRows
+  recordAction(`Delete ${getRowTitle(deleted)}`, () => removeRow(deleted));
+  const deleteAction = undoStack[undoStack.length - 1];
+  showToast(`Deleted ${getRowTitle(deleted)}`, "Undo", () => {
+    // Only undo if nothing else has been done since
+    if (undoStack[undoStack.length - 1] === deleteAction) undo();
+  });
+
+  // Re-apply filters and update UI
+  filteredRows = computeFilteredRows();
+
+  // Update activeIndex if needed
+  if (activeIndex !== null && deletedIndexInFiltered !== -1) {
+    if (deletedIndexInFiltered === activeIndex) {
+      // Deleted the active row - select the next one, or previous if at end
+      if (filteredRows.length > 0) {
+        activeIndex = Math.min(activeIndex, filteredRows.length - 1);
+      } else {
+        activeIndex = null;
+      }
+    } else if (deletedIndexInFiltered < activeIndex) {
+      // Deleted a row before the active one - decrement index
+      activeIndex--;
+    }
+  }
+
+  // Re-render
+  renderRowList(filteredRows);
+  
+  // If there's still an active row, render it
+  if (activeIndex !== null && filteredRows.length > 0 && activeIndex < filteredRows.length) {
+    renderChat(filteredRows[activeIndex]);
+  } else {
+    clearChatDisplay();
+  }
+
+  // Update filters (in case deleted row was the last with a certain value)
+  buildFilters();
+  refreshDashboard();
+}
+
+let currentRow = null; // Store reference to currently displayed row
+
+function clearChatDisplay() {
+  chat.innerHTML = "";
+  meta.innerHTML = "";
+  chatActions.innerHTML = "";
+  searchNav.style.display = "none";
+  currentRow = null;
+  activeIndex = null;
+}
+
+// Responses are model output and may carry raw HTML. Only the markup markdown
+// itself produces is kept, so nothing in a response can run script here or in
+// an exported report.
+const MARKDOWN_TAGS = new Set(["a", "b", "blockquote", "br", "code", "del", "div", "em", "h1", "h2", "h3",
+  "h4", "h5", "h6", "hr", "i", "img", "input", "kbd", "li", "ol", "p", "pre", "s", "span", "strong", "sub",
+  "sup", "table", "tbody", "td", "tfoot", "th", "thead", "tr", "u", "ul"]);
+const MARKDOWN_ATTRIBUTES = new Set(["href", "src", "alt", "title", "align", "start", "colspan", "rowspan", "type", "checked", "disabled"]);
+// Removed with their content rather than unwrapped
+const DROPPED_TAGS = new Set(["script", "style", "iframe", "frame", "object", "embed", "template", "noscript",
+  "svg", "math", "textarea", "select", "button", "form", "link", "meta", "base"]);
+
+function isSafeUrl(url) {
+  // Browsers ignore whitespace and control characters inside a scheme
+  const scheme = url.replace(/[\u0000-\u0020]/g, "").match(/^([a-z][a-z0-9+.-]*):/i);
+  return !scheme || ["http", "https", "mailto"].includes(scheme[1].toLowerCase());
+}
+
+function sanitizeMarkdownHtml(root) {
+  Array.from(root.querySelectorAll("*")).forEach((node) => {
+    const tag = node.localName;
+    if (DROPPED_TAGS.has(tag)) {
+      node.remove();
+      return;
+    }
+    if (!MARKDOWN_TAGS.has(tag) || (tag === "input" && node.getAttribute("type") !== "checkbox")) {
+      node.replaceWith(...node.childNodes);
+      return;
+    }
+    Array.from(node.attributes).forEach((attr) => {
+      const name = attr.name.toLowerCase();
+      if (!MARKDOWN_ATTRIBUTES.has(name) || ((name === "href" || name === "src") && !isSafeUrl(attr.value))) {
+        node.removeAttribute(attr.name);
+      }
+    });
+  });
+}
+
+function renderMarkdownInto(element, markdownText) {
+  if (typeof marked !== "undefined" && marked.parse) {
+    try {
+      // Parsed in an inert template so nothing loads or runs before it is cleaned
+      const template = element.ownerDocument.createElement("template");
+      template.innerHTML = marked.parse(markdownText);
+      sanitizeMarkdownHtml(template.content);
+      element.innerHTML = "";
+      element.appendChild(template.content);
+    } catch (e) {
+      // Fallback to plain text if markdown parsing fails
+      element.textContent = markdownText;
+    }
+  } else {
+    // Fallback if marked is not loaded
+    element.textContent = markdownText;
+  }
+}
+
+function renderChatActions(row) {
+  chatActions.innerHTML = "";
+
+  if (canRefreshRow(row)) {
+    const refreshBtn = document.createElement("button");
+    refreshBtn.className = "btn secondary";
+    refreshBtn.textContent = "Refresh from API";
+    refreshBtn.title = "Fetch the latest exchanges for this chat";
+    refreshBtn.addEventListener("click", async () => {
+      refreshBtn.disabled = true;
+      refreshBtn.textContent = "Refreshing...";
+      await refreshRowWithFeedback(row);
+      refreshBtn.disabled = false;
+      refreshBtn.textContent = "Refresh from API";
+    });
+    chatActions.appendChild(refreshBtn);
+  }
+
+  if (rowToTurns(row).some(t => !isBlank(t.query))) {
+    const replayBtn = document.createElement("button");
+    replayBtn.className = "btn secondary";
+    replayBtn.textContent = `Replay in ${otherEnvironment(stableValue(row["Location Run"]))}...`;
+    replayBtn.title = replayEndpoint()
+      ? "Ask this conversation's questions again in another environment"
+      : "Set the replay endpoint under Configure Environment to replay";
+    replayBtn.addEventListener("click", () => openReplayDialog(row));
+    chatActions.appendChild(replayBtn);
+  }
+
+  // Replays link back to the row they were made from
+  const original = isBlank(row[REPLAY_OF_COLUMN]) ? null
+    : allRows.find(r => r !== row && stableValue(r.Id) === stableValue(row[REPLAY_OF_COLUMN]));
+  if (original) {
+    const originalBtn = document.createElement("button");
+    originalBtn.className = "btn secondary";
+    originalBtn.textContent = "Compare with original";
+    originalBtn.title = `This row replays ${getRowTitle(original)}`;
+    originalBtn.addEventListener("click", () => openCompare(original, row));
+    chatActions.appendChild(originalBtn);
+  }
+
+  if (allRows.length > 1) {
+    const compareBtn = document.createElement("button");
+    compareBtn.className = "btn secondary";
+    compareBtn.textContent = "Compare...";
+    compareBtn.title = "Compare this conversation with another row, turn by turn";
+    compareBtn.addEventListener("click", () => openCompare(row));
+    chatActions.appendChild(compareBtn);
+  }
+}
+
+function renderResponseUpdate(bubble, row, exchangeIndex, update) {
+  bubble.classList.add("response-changed");
+
+  const banner = document.createElement("div");
+  banner.className = "response-update";
+
+  const label = document.createElement("div");
+  label.className = "response-update-label";
+  label.textContent = "Changed in API since this row was captured";
+  banner.appendChild(label);
+
+  if (stableValue(row[`Q${exchangeIndex + 1}`]).trim() !== update.query.trim()) {
+    const query = document.createElement("div");
+    query.className = "response-update-query";
+    query.textContent = `Question is now: ${update.query}`;
+    banner.appendChild(query);
+  }
+
+  const latest = document.createElement("div");
+  latest.className = "message-text response-update-text";
+  renderMarkdownInto(latest, update.response);
+  banner.appendChild(latest);
+
+  const actions = document.createElement("div");
+  actions.className = "response-update-actions";
+
+  const acceptBtn = document.createElement("button");
+  acceptBtn.className = "btn secondary";
+  acceptBtn.textContent = "Use new response";
+  acceptBtn.addEventListener("click", () => {
+    acceptResponseUpdate(row, exchangeIndex);
+    renderChat(row);
+  });
+
+  const dismissBtn = document.createElement("button");
+  dismissBtn.className = "btn secondary";
+  dismissBtn.textContent = "Keep current";
+  dismissBtn.addEventListener("click", () => {
+    dismissResponseUpdate(row, exchangeIndex);
+    renderChat(row);
+  });
+
+  actions.appendChild(acceptBtn);
+  actions.appendChild(dismissBtn);
+  banner.appendChild(actions);
+  bubble.appendChild(banner);
+}
+
+function renderChat(row) {
+  chat.innerHTML = "";
+  meta.innerHTML = "";
+  currentRow = row; // Store reference to current row
+  scheduleAutosave(); // The selected row is part of the saved session
+  renderChatActions(row);
+  searchNav.style.display = "none";
+
+  // Display metadata columns nicely formatted, excluding Expected columns
+  const metadataCols = identifierCols.filter((c) => {
+    const normalized = c.trim();
+    // Exclude Expected columns from metadata display
+    return !/^Expected$/i.test(normalized) &&
+           !/^Expected_\d+$/i.test(normalized) &&
+           !/^Expected\d+$/i.test(normalized);
+  });
+  
+  metadataCols.forEach((c) => {
+    const b = document.createElement("div");
+    b.className = "meta-item";
     const label = document.createElement("span");
     label.className = "meta-label";
     label.textContent = `${c}:`;
@@ -423,8 +2103,10 @@ function renderChat(row) {
     // Store column name for updates
     value.dataset.column = c;
     
-    // Update row on blur
+    // Update row on blur (skip untouched fields so no-op edits don't enter history)
+    const initialValue = value.value;
     value.addEventListener("blur", () => {
+      if (value.value === initialValue) return;
       updateMetadataInRow(c, value.value);
       // Update download button
       downloadBtn.disabled = false;
@@ -536,70 +2218,773 @@ function renderChat(row) {
     
     // Render markdown for assistant messages, plain text for user messages
     if (m.role === "assistant") {
-      if (typeof marked !== "undefined" && marked.parse) {
-        try {
-          text.innerHTML = marked.parse(m.text);
-        } catch (e) {
-          // Fallback to plain text if markdown parsing fails
-          text.textContent = m.text;
-        }
-      } else {
-        // Fallback if marked is not loaded
-        text.textContent = m.text;
-      }
+      renderMarkdownInto(text, m.text);
     } else {
       text.textContent = m.text;
     }
 
-    bubble.appendChild(role);
-    bubble.appendChild(text);
+    bubble.appendChild(role);
+    bubble.appendChild(text);
+
+    // Flag responses that changed in the API after a refresh
+    if (m.role === "assistant") {
+      const update = pendingResponseUpdates.get(row)?.get(m.exchangeIndex);
+      if (update) renderResponseUpdate(bubble, row, m.exchangeIndex, update);
+    }
+
+    // Add note for assistant messages (always editable)
+    if (m.role === "assistant") {
+      const noteContainer = document.createElement("div");
+      noteContainer.className = "note-container";
+      
+      const noteLabel = document.createElement("span");
+      noteLabel.className = "note-label";
+      noteLabel.textContent = "Note:";
+      
+      const noteText = document.createElement("textarea");
+      noteText.className = "note-text editable-note";
+      noteText.value = m.note !== null && m.note !== undefined ? String(m.note).trim() : "";
+      noteText.placeholder = "Add a note...";
+      noteText.rows = 2;
+      
+      // Store row reference and exchange index for editing
+      noteText.dataset.exchangeIndex = m.exchangeIndex;
+      
+      noteText.addEventListener("blur", () => {
+        updateNoteInRow(row, m.exchangeIndex, noteText.value);
+      });
+      
+      noteContainer.appendChild(noteLabel);
+      noteContainer.appendChild(noteText);
+      bubble.appendChild(noteContainer);
+    }
+
+    chat.appendChild(bubble);
+  });
+
+  // scroll to bottom like chatgpt
+  chat.scrollTop = chat.scrollHeight;
+
+  if (isSearchActive()) applySearchHighlights();
+  if (reviewMode) onReviewChatRendered(row);
+}
+
+// --- Keyboard review mode ---
+let reviewMode = false;
+let reviewFocusIndex = 0; // Index among the assistant bubbles of the open chat
+let reviewRow = null; // Row the focus index belongs to
+
+const REVIEW_SHORTCUTS = [
+  ["j / k", "Next / previous response"],
+  ["J / K", "Next / previous row"],
+  ["y", "Mark response ✓ Expected"],
+  ["n", "Mark response ✗ Unexpected"],
+  ["u", "Clear label (Not Set)"],
+  ["e", "Edit the response's note (Esc to leave)"],
+  ["a", "Toggle auto-advance to next unlabeled"],
+  ["?", "Show this help"]
+];
+
+function getAssistantBubbles() {
+  return Array.from(chat.querySelectorAll(".bubble.assistant"));
+}
+
+function applyReviewFocus(scroll = true) {
+  const bubbles = getAssistantBubbles();
+  bubbles.forEach((b) => b.classList.remove("review-focus"));
+  if (bubbles.length === 0) return;
+  reviewFocusIndex = Math.max(0, Math.min(reviewFocusIndex, bubbles.length - 1));
+  const focused = bubbles[reviewFocusIndex];
+  focused.classList.add("review-focus");
+  if (scroll && focused.scrollIntoView) focused.scrollIntoView({ block: "nearest", behavior: "smooth" });
+}
+
+// Keep focus when the same chat re-renders; start at the top for a new one
+function onReviewChatRendered(row) {
+  if (row !== reviewRow) {
+    reviewRow = row;
+    reviewFocusIndex = 0;
+  }
+  applyReviewFocus(false);
+}
+
+function setReviewMode(enabled) {
+  reviewMode = enabled;
+  reviewModeBtn.classList.toggle("active", enabled);
+  reviewHint.style.display = enabled ? "block" : "none";
+  if (enabled) {
+    setContentView("transcriptView");
+    reviewRow = currentRow;
+    reviewFocusIndex = 0;
+    applyReviewFocus();
+  } else {
+    getAssistantBubbles().forEach((b) => b.classList.remove("review-focus"));
+  }
+}
+
+function moveReviewFocus(step) {
+  reviewFocusIndex += step;
+  applyReviewFocus();
+}
+
+// Open the row at `index` in filteredRows and focus one of its responses
+function openRowForReview(index, focusIndex = 0) {
+  if (index < 0 || index >= filteredRows.length) return;
+  activeIndex = index;
+  reviewRow = filteredRows[index];
+  reviewFocusIndex = focusIndex;
+  renderRowList(filteredRows);
+  renderChat(filteredRows[index]);
+  applyReviewFocus();
+}
+
+function moveReviewRow(step) {
+  if (filteredRows.length === 0) return;
+  const current = activeIndex === null ? -1 : activeIndex;
+  openRowForReview(Math.max(0, Math.min(current + step, filteredRows.length - 1)));
+}
+
+function labelFocusedResponse(value) {
+  const bubble = getAssistantBubbles()[reviewFocusIndex];
+  if (!bubble) return;
+  const select = bubble.querySelector(".expected-select");
+  select.value = value;
+  // Reuse the dropdown's handler so styling and row updates stay in one place
+  select.dispatchEvent(new Event("change"));
+
+  if (autoAdvance.checked) {
+    advanceToNextUnlabeled();
+  } else {
+    applyReviewFocus(false); // The change handler resets the bubble's classes
+  }
+}
+
+// Find the next unlabeled response, first in this chat and then in later rows
+function advanceToNextUnlabeled() {
+  const bubbles = getAssistantBubbles();
+  for (let i = reviewFocusIndex + 1; i < bubbles.length; i++) {
+    if (bubbles[i].querySelector(".expected-select").value === "") {
+      reviewFocusIndex = i;
+      applyReviewFocus();
+      return;
+    }
+  }
+
+  const start = activeIndex === null ? 0 : activeIndex + 1;
+  for (let r = start; r < filteredRows.length; r++) {
+    const responses = rowToMessages(filteredRows[r]).filter((m) => m.role === "assistant");
+    const unlabeled = responses.findIndex((m) => normalizeExpected(m.expected) === "");
+    if (unlabeled !== -1) {
+      openRowForReview(r, unlabeled);
+      return;
+    }
+  }
+
+  applyReviewFocus(false);
+  reviewHint.textContent = "All responses in the remaining rows are labeled.";
+  setTimeout(resetReviewHint, 3000);
+}
+
+function resetReviewHint() {
+  reviewHint.innerHTML = "Review mode on — press <kbd>?</kbd> for keyboard shortcuts";
+}
+
+function showReviewHelp() {
+  const content = document.createElement("table");
+  content.className = "shortcut-table";
+  REVIEW_SHORTCUTS.forEach(([keys, description]) => {
+    const tr = document.createElement("tr");
+    const keyCell = document.createElement("td");
+    keys.split(" / ").forEach((key, i) => {
+      if (i > 0) keyCell.appendChild(document.createTextNode(" / "));
+      const kbd = document.createElement("kbd");
+      kbd.textContent = key;
+      keyCell.appendChild(kbd);
+    });
+    const descCell = document.createElement("td");
+    descCell.textContent = description;
+    tr.appendChild(keyCell);
+    tr.appendChild(descCell);
+    content.appendChild(tr);
+  });
+  return showDialog({
+    title: "Review mode shortcuts",
+    content,
+    buttons: [{ label: "Close", value: "close" }]
+  });
+}
+
+function isTypingTarget(target) {
+  if (!target) return false;
+  const tag = target.tagName;
+  return tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT" || target.isContentEditable;
+}
+
+document.addEventListener("keydown", (e) => {
+  if (!reviewMode) return;
+
+  // Esc leaves a note so the shortcuts work again
+  if (e.key === "Escape" && e.target.classList?.contains("editable-note")) {
+    e.target.blur();
+    return;
+  }
+
+  if (isTypingTarget(e.target) || e.ctrlKey || e.metaKey || e.altKey) return;
+  if (document.querySelector(".modal-backdrop")) return;
+
+  switch (e.key) {
+    case "j": moveReviewFocus(1); break;
+    case "k": moveReviewFocus(-1); break;
+    case "J": moveReviewRow(1); break;
+    case "K": moveReviewRow(-1); break;
+    case "y": labelFocusedResponse("Yes"); break;
+    case "n": labelFocusedResponse("No"); break;
+    case "u": labelFocusedResponse(""); break;
+    case "e": {
+      const note = getAssistantBubbles()[reviewFocusIndex]?.querySelector(".editable-note");
+      if (note) note.focus();
+      break;
+    }
+    case "a": autoAdvance.checked = !autoAdvance.checked; break;
+    case "?": showReviewHelp(); break;
+    default: return;
+  }
+  e.preventDefault();
+});
+
+// Clicking a response moves the review focus to it
+chat.addEventListener("click", (e) => {
+  if (!reviewMode) return;
+  const bubble = e.target.closest(".bubble.assistant");
+  if (!bubble) return;
+  reviewFocusIndex = getAssistantBubbles().indexOf(bubble);
+  applyReviewFocus(false);
+});
+
+reviewModeBtn.addEventListener("click", () => {
+  setReviewMode(!reviewMode);
+  reviewModeBtn.blur();
+});
+
+// --- Column schema profiles ---
+// Sheets that don't use the Q1/R1/N1/Expected headers are mapped onto them on
+// load with a profile and mapped back on export, so everything else in the
+// viewer only ever sees the standard columns.
+//
+// profile: {
+//   name,
+//   layout: "wide" | "long",
+//   columns: { query, response, note, label },  // wide: patterns with {n}; long: column names
+//   groupBy, turn,                              // long only: conversation key and turn order columns
+//   metadata: { [sheetColumn]: standardColumn } // optional renames, e.g. "Conversation" -> "Chat Id"
+// }
+const SCHEMA_ROLES = ["query", "response", "note", "label"];
+const SCHEMA_ROLE_LABELS = { query: "Query", response: "Response", note: "Note", label: "Label" };
+// The query guess is anchored so metadata such as "User Email" is not taken for it
+const SCHEMA_ROLE_GUESSES = {
+  query: /^(question|query|prompt|input|user( message| query| input)?)[\s_#-]*\d*$/i,
+  response: /answer|response|assistant|output|reply/i,
+  note: /note|comment/i,
+  label: /label|expected|verdict|grade/i
+};
+const SCHEMA_GROUP_GUESS = /conversation|chat|session|thread|dialog/i;
+const SCHEMA_TURN_GUESS = /turn|step|order|seq|position|index/i;
+
+let schemaProfiles = loadSchemaProfiles();
+let sheetSchema = null; // { profile, sourceHeaders, columnMap, turnBase } of the current sheet; null for standard headers
+let sheetBaseline = null; // buildSyncTable() of the current sheet as loaded, to tell local edits apart on pull
+let pendingSchemas = {}; // Profiles chosen for sheets that haven't been opened yet, by sheet name
+
+function loadSchemaProfiles() {
+  try {
+    const saved = JSON.parse(localStorage.getItem("schemaProfiles"));
+    if (Array.isArray(saved)) return saved;
+  } catch (e) {
+    // Ignore malformed settings
+  }
+  return [];
+}
+
+function saveSchemaProfile(profile) {
+  schemaProfiles = schemaProfiles.filter(p => p.name !== profile.name);
+  schemaProfiles.push(profile);
+  localStorage.setItem("schemaProfiles", JSON.stringify(schemaProfiles));
+}
+
+function deleteSchemaProfile(name) {
+  schemaProfiles = schemaProfiles.filter(p => p.name !== name);
+  localStorage.setItem("schemaProfiles", JSON.stringify(schemaProfiles));
+}
+
+function canonicalExchangeColumn(role, turn) {
+  if (role === "query") return `Q${turn}`;
+  if (role === "response") return `R${turn}`;
+  if (role === "note") return `N${turn}`;
+  return expectedColumnName(turn - 1);
+}
+
+// { role, turn } of a standard exchange column, or null
+function parseExchangeColumn(col) {
+  let match = col.match(/^([QRN])(\d+)$/);
+  if (match) return { role: { Q: "query", R: "response", N: "note" }[match[1]], turn: parseInt(match[2]) };
+  if (col === "Expected") return { role: "label", turn: 1 };
+  match = col.match(/^Expected_(\d+)$/);
+  if (match) return { role: "label", turn: parseInt(match[1]) + 1 };
+  return null;
+}
+
+function patternToRegExp(pattern) {
+  return new RegExp("^" + escapeRegExp(pattern.trim()).replace("\\{n\\}", "(\\d+)") + "$", "i");
+}
+
+function patternColumn(pattern, turn) {
+  return pattern.trim().replace("{n}", turn);
+}
+
+function isStandardLayout(headers) {
+  return headers.some(h => /^[QR]\d+$/i.test(String(h).trim()));
+}
+
+function getSheetHeaders(ws) {
+  return (XLSX.utils.sheet_to_json(ws, { header: 1 })[0] || []).map(h => stableValue(h));
+}
+
+// How well a saved profile fits these headers; 0 means it doesn't apply
+function profileMatchScore(profile, headers) {
+  if (profile.layout === "long") {
+    const cols = [profile.groupBy, profile.turn, ...SCHEMA_ROLES.map(r => profile.columns[r])].filter(Boolean);
+    return cols.every(c => headers.includes(c)) ? cols.length : 0;
+  }
+  const matched = SCHEMA_ROLES.filter(role => {
+    const pattern = profile.columns[role];
+    return pattern && headers.some(h => patternToRegExp(pattern).test(h));
+  });
+  return matched.includes("query") && matched.includes("response") ? matched.length : 0;
+}
+
+// Best saved profile for these headers, else a profile guessed from the header names
+function suggestSchemaProfile(headers) {
+  const best = schemaProfiles
+    .map(profile => ({ profile, score: profileMatchScore(profile, headers) }))
+    .filter(m => m.score > 0)
+    .sort((a, b) => b.score - a.score)[0];
+  if (best) return best.profile;
+
+  // Known metadata columns are never guessed as exchange columns
+  const candidates = headers.filter(h => !STANDARD_COLUMNS.includes(h));
+
+  // Wide: numbered columns such as "Question 1" become "Question {n}"
+  const columns = {};
+  SCHEMA_ROLES.forEach(role => {
+    const header = candidates.find(h => /\d/.test(h) && SCHEMA_ROLE_GUESSES[role].test(h));
+    columns[role] = header ? header.replace(/\d+(?!.*\d)/, "{n}") : "";
+  });
+  if (columns.query && columns.response) {
+    return { name: "", layout: "wide", columns, groupBy: "", turn: "", metadata: {} };
+  }
+
+  // Long: one row per exchange
+  const pick = (regex, exclude = []) => candidates.find(h => regex.test(h) && !exclude.includes(h)) || "";
+  const longColumns = {};
+  SCHEMA_ROLES.forEach(role => { longColumns[role] = pick(SCHEMA_ROLE_GUESSES[role], Object.values(longColumns)); });
+  return {
+    name: "",
+    layout: "long",
+    columns: longColumns,
+    groupBy: pick(SCHEMA_GROUP_GUESS, Object.values(longColumns)),
+    turn: pick(SCHEMA_TURN_GUESS, Object.values(longColumns)),
+    metadata: {}
+  };
+}
+
+// Map sheet records onto standard columns: { rows, headers, columnMap, turnBase }
+// columnMap (standard -> sheet column) lets export restore the original names.
+function normalizeRows(records, headers, profile) {
+  const renames = {};
+  Object.entries(profile.metadata || {}).forEach(([sheetCol, standardCol]) => {
+    if (standardCol && headers.includes(sheetCol)) renames[sheetCol] = standardCol;
+  });
+
+  let rows;
+  let turnBase = 1;
+  if (profile.layout === "long") {
+    const roleCols = SCHEMA_ROLES.map(r => profile.columns[r]).filter(Boolean);
+    const metaHeaders = headers.filter(h => h !== profile.turn && !roleCols.includes(h));
+    headers = metaHeaders;
+
+    // Group exchanges into conversations, keeping the sheet's order of first appearance
+    const groups = new Map();
+    records.forEach((record, index) => {
+      const key = profile.groupBy ? stableValue(record[profile.groupBy]) : String(index);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(record);
+    });
+
+    const turnValue = (record) => parseFloat(record[profile.turn]);
+    if (profile.turn) {
+      const turns = records.map(turnValue).filter(t => !isNaN(t));
+      if (turns.length > 0) turnBase = Math.min(...turns);
+    }
+
+    rows = [];
+    groups.forEach(group => {
+      if (profile.turn) group.sort((a, b) => (turnValue(a) || 0) - (turnValue(b) || 0));
+      const row = {};
+      // Metadata repeats on every exchange row; take the first non-empty value
+      metaHeaders.forEach(h => {
+        const value = group.map(r => r[h]).find(v => !isBlank(v));
+        row[renames[h] || h] = value === undefined ? "" : value;
+      });
+      group.forEach((record, i) => {
+        SCHEMA_ROLES.forEach(role => {
+          const col = profile.columns[role];
+          if (col) row[canonicalExchangeColumn(role, i + 1)] = record[col] ?? "";
+        });
+      });
+      rows.push(row);
+    });
+  } else {
+    headers.forEach(h => {
+      SCHEMA_ROLES.forEach(role => {
+        const pattern = profile.columns[role];
+        const match = pattern && h.match(patternToRegExp(pattern));
+        if (match && match[1]) renames[h] = canonicalExchangeColumn(role, parseInt(match[1]));
+      });
+    });
+    rows = records.map(record => {
+      const row = {};
+      Object.keys(record).forEach(key => { row[renames[key] || key] = record[key]; });
+      return row;
+    });
+  }
+
+  const columnMap = {};
+  Object.entries(renames).forEach(([sheetCol, standardCol]) => { columnMap[standardCol] = sheetCol; });
+  return { rows, headers: headers.map(h => renames[h] || h), columnMap, turnBase };
+}
+
+// Rows laid out for export in the sheet's own schema: { columns, rows, dateColumn }
+function denormalizeRows(rows, headers, schema) {
+  const columns = getOrderedColumns(rows, headers);
+  if (!schema) return { columns, rows, dateColumn: "Date" };
+
+  const { profile, columnMap } = schema;
+  const sheetColumn = (col) => {
+    if (columnMap[col]) return columnMap[col];
+    const exchange = parseExchangeColumn(col);
+    const pattern = exchange && profile.columns[exchange.role];
+    if (profile.layout === "wide" && pattern) return patternColumn(pattern, exchange.turn);
+    return col;
+  };
+  const dateColumn = sheetColumn("Date");
+
+  if (profile.layout === "wide") {
+    return {
+      columns: columns.map(sheetColumn),
+      rows: rows.map(row => {
+        const out = {};
+        columns.forEach(col => { out[sheetColumn(col)] = row[col]; });
+        return out;
+      }),
+      dateColumn
+    };
+  }
+
+  // Long: one row per exchange in the sheet's original column order
+  const metaCols = columns.filter(col => !parseExchangeColumn(col));
+  const longColumns = [...schema.sourceHeaders];
+  metaCols.forEach(col => {
+    if (!longColumns.includes(sheetColumn(col))) longColumns.push(sheetColumn(col));
+  });
+  // Notes or labels added to a sheet without such a column get one rather than being dropped
+  const roleColumns = {};
+  SCHEMA_ROLES.forEach(role => {
+    roleColumns[role] = profile.columns[role];
+    const used = columns.some(col => parseExchangeColumn(col)?.role === role && rows.some(row => !isBlank(row[col])));
+    if (!roleColumns[role] && used) {
+      roleColumns[role] = SCHEMA_ROLE_LABELS[role];
+      if (!longColumns.includes(roleColumns[role])) longColumns.push(roleColumns[role]);
+    }
+  });
+  const out = [];
+  rows.forEach(row => {
+    // A conversation without exchanges still gets a row so its metadata survives
+    const turns = Math.max(getExchangeCount(row), 1);
+    for (let turn = 1; turn <= turns; turn++) {
+      const record = {};
+      metaCols.forEach(col => { record[sheetColumn(col)] = row[col]; });
+      if (profile.turn) record[profile.turn] = String(turn - 1 + schema.turnBase);
+      SCHEMA_ROLES.forEach(role => {
+        const col = roleColumns[role];
+        if (col) record[col] = row[canonicalExchangeColumn(role, turn)] ?? "";
+      });
+      out.push(record);
+    }
+  });
+  return { columns: longColumns, rows: out, dateColumn };
+}
+
+function schemaSelect(headers, value, emptyLabel) {
+  const select = document.createElement("select");
+  [["", emptyLabel], ...headers.map(h => [h, h])].forEach(([optValue, text]) => {
+    const opt = document.createElement("option");
+    opt.value = optValue;
+    opt.textContent = text;
+    select.appendChild(opt);
+  });
+  select.value = headers.includes(value) ? value : "";
+  return select;
+}
+
+function schemaField(labelText, control) {
+  const group = document.createElement("div");
+  group.className = "form-group";
+  const label = document.createElement("label");
+  label.textContent = labelText;
+  group.appendChild(label);
+  group.appendChild(control);
+  return group;
+}
+
+// Ask how to map `headers` onto the standard columns.
+// Resolves with a profile, null for standard headers, or undefined when cancelled.
+async function openSchemaDialog(headers, initial, { cancellable = false } = {}) {
+  const profile = JSON.parse(JSON.stringify(initial || suggestSchemaProfile(headers)));
+  profile.metadata = profile.metadata || {};
+
+  const content = document.createElement("div");
+  content.className = "schema-form";
+
+  const savedSelect = document.createElement("select");
+  savedSelect.innerHTML = `<option value="">Suggested mapping</option>`;
+  schemaProfiles.forEach(p => {
+    const opt = document.createElement("option");
+    opt.value = p.name;
+    opt.textContent = p.name;
+    savedSelect.appendChild(opt);
+  });
+  savedSelect.value = schemaProfiles.some(p => p.name === profile.name) ? profile.name : "";
+  content.appendChild(schemaField("Saved profiles", savedSelect));
+
+  const layoutSelect = document.createElement("select");
+  layoutSelect.innerHTML = `<option value="wide">Wide: one row per conversation, numbered columns</option>
+    <option value="long">Long: one row per exchange</option>`;
+  content.appendChild(schemaField("Layout", layoutSelect));
+
+  const rolesContainer = document.createElement("div");
+  content.appendChild(rolesContainer);
+
+  const metadataContainer = document.createElement("div");
+  metadataContainer.className = "schema-metadata";
+  content.appendChild(metadataContainer);
+
+  const preview = document.createElement("div");
+  preview.className = "hint";
+  content.appendChild(preview);
+
+  const nameInput = document.createElement("input");
+  nameInput.type = "text";
+  nameInput.placeholder = "Leave empty to use without saving";
+  content.appendChild(schemaField("Save as profile", nameInput));
+
+  function assignedColumns() {
+    if (profile.layout !== "long") return [];
+    return [profile.groupBy, profile.turn, ...SCHEMA_ROLES.map(r => profile.columns[r])].filter(Boolean);
+  }
+
+  function renderPreview() {
+    if (profile.layout === "long") {
+      const missing = ["query", "response"].filter(r => !profile.columns[r]);
+      preview.textContent = missing.length
+        ? `Choose the ${missing.join(" and ")} column.`
+        : profile.groupBy ? "" : "No conversation column: every row becomes a single-turn chat.";
+      return;
+    }
+    const counts = SCHEMA_ROLES.map(role => {
+      const pattern = profile.columns[role];
+      const count = pattern && pattern.includes("{n}") ? headers.filter(h => patternToRegExp(pattern).test(h)).length : 0;
+      return `${count} ${SCHEMA_ROLE_LABELS[role].toLowerCase()}`;
+    });
+    preview.textContent = `Matches ${counts.join(", ")} column(s).`;
+  }
+
+  function renderMetadata() {
+    metadataContainer.innerHTML = "";
+    const title = document.createElement("label");
+    title.textContent = "Metadata columns";
+    metadataContainer.appendChild(title);
 
-    // Add note for assistant messages (always editable)
-    if (m.role === "assistant") {
-      const noteContainer = document.createElement("div");
-      noteContainer.className = "note-container";
-      
-      const noteLabel = document.createElement("span");
-      noteLabel.className = "note-label";
-      noteLabel.textContent = "Note:";
-      
-      const noteText = document.createElement("textarea");
-      noteText.className = "note-text editable-note";
-      noteText.value = m.note !== null && m.note !== undefined ? String(m.note).trim() : "";
-      noteText.placeholder = "Add a note...";
-      noteText.rows = 2;
-      
-      // Store row reference and exchange index for editing
-      noteText.dataset.exchangeIndex = m.exchangeIndex;
-      
-      noteText.addEventListener("blur", () => {
-        updateNoteInRow(row, m.exchangeIndex, noteText.value);
+    const assigned = assignedColumns();
+    const wideMatches = (h) => profile.layout === "wide" && SCHEMA_ROLES.some(role => {
+      const pattern = profile.columns[role];
+      return pattern && pattern.includes("{n}") && patternToRegExp(pattern).test(h);
+    });
+    headers.filter(h => h && !assigned.includes(h) && !wideMatches(h)).forEach(h => {
+      const item = document.createElement("div");
+      item.className = "schema-metadata-item";
+      const name = document.createElement("span");
+      name.textContent = h;
+      const select = schemaSelect(STANDARD_COLUMNS.filter(c => c !== h), profile.metadata[h], "Keep name");
+      select.addEventListener("change", () => {
+        if (select.value) profile.metadata[h] = select.value;
+        else delete profile.metadata[h];
+      });
+      item.appendChild(name);
+      item.appendChild(select);
+      metadataContainer.appendChild(item);
+    });
+  }
+
+  function renderRoles() {
+    layoutSelect.value = profile.layout;
+    rolesContainer.innerHTML = "";
+    if (profile.layout === "long") {
+      const addSelect = (labelText, value, onChange) => {
+        const select = schemaSelect(headers, value, "(none)");
+        select.addEventListener("change", () => {
+          onChange(select.value);
+          renderMetadata();
+          renderPreview();
+        });
+        rolesContainer.appendChild(schemaField(labelText, select));
+      };
+      addSelect("Conversation (group rows by)", profile.groupBy, v => { profile.groupBy = v; });
+      addSelect("Turn order", profile.turn, v => { profile.turn = v; });
+      SCHEMA_ROLES.forEach(role => addSelect(SCHEMA_ROLE_LABELS[role], profile.columns[role], v => { profile.columns[role] = v; }));
+    } else {
+      const hint = document.createElement("div");
+      hint.className = "hint";
+      hint.textContent = 'Use {n} for the turn number, e.g. "Question {n}".';
+      rolesContainer.appendChild(hint);
+      SCHEMA_ROLES.forEach(role => {
+        const input = document.createElement("input");
+        input.type = "text";
+        input.value = profile.columns[role] || "";
+        input.placeholder = role === "query" || role === "response" ? "Required" : "Optional";
+        input.addEventListener("input", () => {
+          profile.columns[role] = input.value;
+          renderMetadata();
+          renderPreview();
+        });
+        rolesContainer.appendChild(schemaField(`${SCHEMA_ROLE_LABELS[role]} columns`, input));
       });
-      
-      noteContainer.appendChild(noteLabel);
-      noteContainer.appendChild(noteText);
-      bubble.appendChild(noteContainer);
     }
+    renderMetadata();
+    renderPreview();
+  }
 
-    chat.appendChild(bubble);
+  layoutSelect.addEventListener("change", () => {
+    profile.layout = layoutSelect.value;
+    // Patterns and column names don't carry over between layouts
+    SCHEMA_ROLES.forEach(role => { profile.columns[role] = ""; });
+    renderRoles();
   });
 
-  // scroll to bottom like chatgpt
-  chat.scrollTop = chat.scrollHeight;
+  savedSelect.addEventListener("change", () => {
+    const chosen = schemaProfiles.find(p => p.name === savedSelect.value) || suggestSchemaProfile(headers);
+    Object.assign(profile, JSON.parse(JSON.stringify(chosen)));
+    profile.metadata = profile.metadata || {};
+    nameInput.value = profile.name || "";
+    renderRoles();
+  });
+
+  nameInput.value = profile.name || "";
+  renderRoles();
+
+  while (true) {
+    const choice = await showDialog({
+      title: "Map sheet columns",
+      message: "This sheet doesn't use the Q1/R1/N1/Expected columns. Choose which columns hold queries, responses, notes and labels.",
+      content,
+      buttons: [
+        ...(cancellable ? [{ label: "Cancel", value: "cancel" }] : []),
+        { label: "Use standard columns", value: "standard" },
+        { label: "Apply mapping", value: "apply", primary: true }
+      ]
+    });
+    if (choice === "standard") return null;
+    if (choice !== "apply") return cancellable ? undefined : null;
+
+    const problem = validateSchemaProfile(profile);
+    if (!problem) break;
+    alert(problem);
+  }
+
+  profile.name = nameInput.value.trim();
+  if (profile.name) saveSchemaProfile(profile);
+  return profile;
+}
+
+function validateSchemaProfile(profile) {
+  if (!profile.columns.query || !profile.columns.response) {
+    return "Query and response columns are required.";
+  }
+  if (profile.layout === "wide") {
+    const bad = SCHEMA_ROLES.find(role => profile.columns[role] && !profile.columns[role].includes("{n}"));
+    if (bad) return `The ${SCHEMA_ROLE_LABELS[bad].toLowerCase()} pattern needs {n} where the turn number goes.`;
+  }
+  return null;
+}
+
+// Profile to load a workbook sheet with, asking when its headers look like a
+// conversation in another layout. Other sheets (readmes, summaries) load as they are.
+async function chooseSchemaForSheet(wb, sheetName) {
+  const headers = getSheetHeaders(wb.Sheets[sheetName]);
+  if (headers.length === 0 || isStandardLayout(headers)) return null;
+  const suggestion = suggestSchemaProfile(headers);
+  if (!suggestion.columns.query || !suggestion.columns.response) return null;
+  return openSchemaDialog(headers, suggestion);
 }
 
+schemaBtn.addEventListener("click", async () => {
+  const ws = sourceWorkbook?.Sheets[currentSheet];
+  if (!ws) return;
+  const profile = await openSchemaDialog(getSheetHeaders(ws), sheetSchema?.profile, { cancellable: true });
+  if (profile === undefined) return;
+  if (undoStack.length > 0 && !confirm(`Reload "${currentSheet}" with the new column mapping? Edits to this sheet are replaced (you can undo this).`)) return;
+  recordAction(`Change column mapping of "${currentSheet}"`, () => replaceDataset(() => loadSheet(sourceWorkbook, currentSheet, profile)));
+});
+
 // --- Workbook loading ---
 fileInput.addEventListener("change", async (e) => {
   const file = e.target.files?.[0];
   if (!file) return;
+  fileInput.value = ""; // Allow picking the same file again
+
+  // Conversation files are added to the current sheet rather than replacing it
+  if (/\.jsonl?$/i.test(file.name)) {
+    await importConversationFile(file);
+    return;
+  }
 
-  const data = await file.arrayBuffer();
-  const wb = XLSX.read(data, { type: "array" });
+  let wb;
+  try {
+    if (/\.(csv|tsv|txt)$/i.test(file.name)) {
+      wb = await readDelimitedWorkbook(file);
+    } else {
+      wb = XLSX.read(await file.arrayBuffer(), { type: "array" });
+    }
+  } catch (error) {
+    alert(`Error reading ${file.name}: ${error.message}`);
+    return;
+  }
 
+  // Each uploaded workbook is autosaved as its own session
+  await startNewSession(file.name);
+
+  sourceWorkbook = wb;
+  sheetStates = {};
   sheetNames = wb.SheetNames;
   currentSheet = sheetNames[0];
+  pendingSchemas = {};
+  populateSheetSelect();
+
+  // A new workbook starts a fresh history
+  clearHistory();
+  loadSheet(wb, currentSheet, await chooseSchemaForSheet(wb, currentSheet));
+});
 
-  // Populate sheet dropdown
+function populateSheetSelect() {
   sheetSelect.innerHTML = "";
   sheetNames.forEach((name) => {
     const opt = document.createElement("option");
@@ -607,23 +2992,84 @@ fileInput.addEventListener("change", async (e) => {
     opt.textContent = name;
     sheetSelect.appendChild(opt);
   });
-  sheetSelect.disabled = false;
+  if (currentSheet !== null) sheetSelect.value = currentSheet;
+  sheetSelect.disabled = sheetNames.length === 0;
+}
 
-  sheetSelect.onchange = () => {
-    currentSheet = sheetSelect.value;
-    loadSheet(wb, currentSheet);
-  };
+// Park the rows of the visible sheet so switching away keeps its edits
+function stashCurrentSheet() {
+  if (currentSheet === null) return;
+  sheetStates[currentSheet] = { rows: allRows, identifierCols, nextId, headers: sheetHeaders, schema: sheetSchema, baseline: sheetBaseline };
+}
+
+// Show another sheet: its edited rows if it was opened before, else parse it from the workbook
+function showSheet(name) {
+  stashCurrentSheet();
+  currentSheet = name;
+  sheetSelect.value = name;
+  clearChatDisplay();
+
+  const state = sheetStates[name];
+  if (state) {
+    allRows = state.rows;
+    identifierCols = state.identifierCols;
+    nextId = state.nextId;
+    sheetHeaders = state.headers || [];
+    sheetSchema = state.schema || null;
+    sheetBaseline = state.baseline || null;
+    resetFilters();
+    buildFilters();
+    applyAll();
+    downloadBtn.disabled = false;
+  } else {
+    loadSheet(sourceWorkbook, name, pendingSchemas[name]);
+  }
+}
 
-  loadSheet(wb, currentSheet);
+sheetSelect.addEventListener("change", async () => {
+  const previous = currentSheet;
+  const next = sheetSelect.value;
+  if (next === previous) return;
+  // Ask for a column mapping the first time a non-standard sheet is opened
+  if (!sheetStates[next] && !(next in pendingSchemas)) {
+    pendingSchemas[next] = await chooseSchemaForSheet(sourceWorkbook, next);
+  }
+  // Nothing is lost by switching, but recording it lets undo walk back to
+  // the sheet an earlier edit was made on
+  recordAction(`Switch to sheet "${next}"`, () => {
+    showSheet(next);
+    recordChange({
+      undo: () => showSheet(previous),
+      redo: () => showSheet(next)
+    });
+  });
 });
 
-function loadSheet(wb, sheetName) {
-  const ws = wb.Sheets[sheetName];
+// Rows of a worksheet in the standard columns: { rows, headers, schema }
+function parseWorksheet(ws, profile = null) {
   const json = XLSX.utils.sheet_to_json(ws, { defval: "" }); // keep blanks as ""
+  const headers = json.length ? Object.keys(json[0]) : getSheetHeaders(ws);
+  if (!profile) return { rows: json, headers, schema: null };
+
+  // Non-standard sheets are mapped onto Q/R/N/Expected through their profile
+  const normalized = normalizeRows(json, headers, profile);
+  return {
+    rows: normalized.rows,
+    headers: normalized.headers,
+    schema: { profile, sourceHeaders: headers, columnMap: normalized.columnMap, turnBase: normalized.turnBase }
+  };
+}
+
+// keepFilters leaves the search and filters as they are, for a pull that
+// reloads the sheet already on screen
+function loadSheet(wb, sheetName, profile = null, keepFilters = false) {
+  const parsed = parseWorksheet(wb.Sheets[sheetName], profile);
 
-  allRows = json;
-  const headers = json.length ? Object.keys(json[0]) : [];
-  identifierCols = detectIdentifierCols(headers);
+  allRows = parsed.rows;
+  sheetHeaders = parsed.headers;
+  sheetSchema = parsed.schema;
+  sheetBaseline = buildSyncTable();
+  identifierCols = detectIdentifierCols(sheetHeaders);
 
   // Find max ID to set nextId
   if (allRows.length > 0) {
@@ -638,79 +3084,636 @@ function loadSheet(wb, sheetName) {
     nextId = 1;
   }
 
-  buildFilters();
-  activeIndex = null;
-  applyAll();
-  downloadBtn.disabled = false;
-  
-  // Sync settings will be loaded when sync functions are initialized
+  if (keepFilters) buildFilters();
+  else resetFilters();
+  activeIndex = null;
+  applyAll();
+  downloadBtn.disabled = false;
+  
+  // Sync settings will be loaded when sync functions are initialized
+}
+
+function applyAll(keepSelection = false) {
+  filteredRows = computeFilteredRows();
+
+  if (!keepSelection) activeIndex = null;
+  renderRowList(filteredRows);
+  findDuplicatesBtn.disabled = allRows.length === 0;
+  exportJsonlBtn.disabled = allRows.length === 0;
+  exportCsvBtn.disabled = allRows.length === 0;
+  exportReportBtn.disabled = allRows.length === 0;
+  schemaBtn.disabled = !sourceWorkbook?.Sheets[currentSheet];
+  refreshDashboard();
+  refreshCompare();
+  refreshRegressionView();
+  scheduleAutosave();
+  
+  // Update sync buttons if function exists
+  if (typeof updateSyncButtons === 'function') {
+    updateSyncButtons();
+  }
+}
+
+// --- Update functions for editing ---
+function updateNoteInRow(row, exchangeIndex, noteValue) {
+  // exchangeIndex is 0-based, but columns are 1-based (N1, N2, etc.)
+  const columnName = `N${exchangeIndex + 1}`;
+  if (stableValue(row[columnName]).trim() === noteValue.trim()) return;
+  recordAction(`Note on ${getRowTitle(row)}, turn ${exchangeIndex + 1}`, () => {
+    setCell(row, columnName, noteValue);
+  });
+  // Trigger download button update
+  downloadBtn.disabled = false;
+}
+
+function updateExpectedInRow(row, exchangeIndex, expectedValue) {
+  // exchangeIndex is 0-based
+  const columnName = expectedColumnName(exchangeIndex);
+  const labelText = expectedValue === "" ? "Not Set" : expectedValue;
+  recordAction(`Label ${getRowTitle(row)}, turn ${exchangeIndex + 1}: ${labelText}`, () => {
+    setCell(row, columnName, expectedValue);
+  });
+  // Trigger download button update
+  downloadBtn.disabled = false;
+  // Keep the pass/fail counts in the row list, dashboard and regression report current
+  renderRowList(filteredRows);
+  refreshDashboard();
+  refreshRegressionView();
+}
+
+function updateMetadataInRow(columnName, value) {
+  if (!currentRow) return;
+  
+  // For Date column, if user entered a formatted date, try to convert it back
+  if (/date/i.test(columnName)) {
+    // Try to parse the formatted date back to a value we can store
+    const parsedDate = parseDateString(value);
+    if (parsedDate) {
+      // Convert to ISO string for storage
+      const isoDate = parsedDate.toISOString().split('T')[0];
+      recordAction(`Edit ${columnName} on ${getRowTitle(currentRow)}`, () => {
+        setCell(currentRow, columnName, isoDate);
+      });
+      triggerAutoSync();
+      return;
+    }
+  }
+  
+  // For other columns, store as-is
+  recordAction(`Edit ${columnName} on ${getRowTitle(currentRow)}`, () => {
+    setCell(currentRow, columnName, value);
+  });
+  triggerAutoSync();
+}
+
+function triggerAutoSync() {
+  // Auto-sync removed per user request
+}
+
+// --- Undo / redo history ---
+// Every mutation of the loaded rows goes through setCell/insertRow/removeRow/
+// replaceDataset inside recordAction(), which groups them into one undoable step.
+const HISTORY_LIMIT = 100;
+let undoStack = []; // [{ label, time, changes: [{ undo, redo }] }]
+let redoStack = [];
+let pendingChanges = null; // Changes collected by the open recordAction()
+
+function recordAction(label, fn) {
+  // Nested actions fold into the outer one
+  if (pendingChanges) return fn();
+
+  pendingChanges = [];
+  try {
+    return fn();
+  } finally {
+    const changes = pendingChanges;
+    pendingChanges = null;
+    if (changes.length > 0) {
+      undoStack.push({ label, time: Date.now(), changes });
+      if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+      redoStack = [];
+      renderHistory();
+    }
+  }
+}
+
+function recordChange(change) {
+  if (pendingChanges) {
+    pendingChanges.push(change);
+  } else {
+    // Mutation outside an action still gets its own history entry
+    recordAction("Edit", () => pendingChanges.push(change));
+  }
+}
+
+function setCell(row, col, value) {
+  const had = col in row;
+  const before = row[col];
+  if (had && before === value) return;
+  row[col] = value;
+  recordChange({
+    undo: () => {
+      if (had) row[col] = before;
+      else delete row[col];
+    },
+    redo: () => { row[col] = value; }
+  });
+}
+
+function insertRow(row, index = allRows.length) {
+  const list = allRows;
+  list.splice(index, 0, row);
+  recordChange({
+    undo: () => {
+      const i = list.indexOf(row);
+      if (i !== -1) list.splice(i, 1);
+    },
+    redo: () => list.splice(Math.min(index, list.length), 0, row)
+  });
+}
+
+function removeRow(row) {
+  const list = allRows;
+  const index = list.indexOf(row);
+  if (index === -1) return;
+  list.splice(index, 1);
+  recordChange({
+    undo: () => list.splice(Math.min(index, list.length), 0, row),
+    redo: () => {
+      const i = list.indexOf(row);
+      if (i !== -1) list.splice(i, 1);
+    }
+  });
+}
+
+// Snapshot of everything loadSheet replaces in the current sheet, for undoing pulls
+function captureDataset() {
+  return { rows: allRows, identifierCols, nextId, currentSheet, headers: sheetHeaders, schema: sheetSchema, baseline: sheetBaseline };
+}
+
+function restoreDataset(dataset) {
+  if (dataset.currentSheet !== currentSheet) {
+    // Keep the sheet being left; the restored one is shown in its place
+    stashCurrentSheet();
+    currentSheet = dataset.currentSheet;
+  }
+  allRows = dataset.rows;
+  identifierCols = dataset.identifierCols;
+  nextId = dataset.nextId;
+  sheetHeaders = dataset.headers;
+  sheetSchema = dataset.schema;
+  sheetBaseline = dataset.baseline;
+  if (currentSheet !== null && sheetNames.includes(currentSheet)) sheetSelect.value = currentSheet;
+}
+
+// Run `load` (which swaps in a new dataset) as an undoable replacement
+function replaceDataset(load) {
+  const before = captureDataset();
+  load();
+  const after = captureDataset();
+  recordChange({
+    undo: () => restoreDataset(before),
+    redo: () => restoreDataset(after)
+  });
+}
+
+function clearHistory() {
+  undoStack = [];
+  redoStack = [];
+  renderHistory();
+}
+
+function undo() {
+  const action = undoStack.pop();
+  if (!action) return;
+  [...action.changes].reverse().forEach((change) => change.undo());
+  redoStack.push(action);
+  refreshAfterDataChange();
+  renderHistory();
+}
+
+function redo() {
+  const action = redoStack.pop();
+  if (!action) return;
+  action.changes.forEach((change) => change.redo());
+  undoStack.push(action);
+  refreshAfterDataChange();
+  renderHistory();
+}
+
+// Re-render everything after rows changed underneath the UI, keeping the open row
+function refreshAfterDataChange() {
+  const row = currentRow;
+  buildFilters();
+  filteredRows = computeFilteredRows();
+  const index = row ? filteredRows.indexOf(row) : -1;
+  activeIndex = index === -1 ? null : index;
+  applyAll(true);
+  if (index !== -1) {
+    renderChat(row);
+  } else if (filteredRows.length === 0) {
+    clearChatDisplay();
+  }
+  downloadBtn.disabled = allRows.length === 0;
+}
+
+function renderHistory() {
+  scheduleAutosave();
+  undoBtn.disabled = undoStack.length === 0;
+  redoBtn.disabled = redoStack.length === 0;
+  undoBtn.title = undoStack.length ? `Undo: ${undoStack[undoStack.length - 1].label}` : "Nothing to undo";
+  redoBtn.title = redoStack.length ? `Redo: ${redoStack[redoStack.length - 1].label}` : "Nothing to redo";
+
+  historyList.innerHTML = "";
+  if (undoStack.length === 0 && redoStack.length === 0) {
+    historyList.innerHTML = `<div class="hint">No edits yet.</div>`;
+    return;
+  }
+
+  // Redo entries (greyed) above the undo entries, most recent action first
+  const entries = [
+    ...redoStack.map((action) => ({ action, undone: true })),
+    ...[...undoStack].reverse().map((action) => ({ action, undone: false }))
+  ].slice(0, 20);
+
+  entries.forEach(({ action, undone }) => {
+    const item = document.createElement("div");
+    item.className = "history-item" + (undone ? " undone" : "");
+
+    const label = document.createElement("span");
+    label.textContent = action.label;
+
+    const time = document.createElement("span");
+    time.className = "history-time";
+    time.textContent = new Date(action.time).toLocaleTimeString("en-US", { hour: "numeric", minute: "2-digit" });
+
+    item.appendChild(label);
+    item.appendChild(time);
+    historyList.appendChild(item);
+  });
+}
+
+undoBtn.addEventListener("click", undo);
+redoBtn.addEventListener("click", redo);
+
+// Ctrl/Cmd+Z undo, Ctrl/Cmd+Shift+Z or Ctrl+Y redo. Text fields keep their native undo.
+document.addEventListener("keydown", (e) => {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+  if (isTypingTarget(e.target) || document.querySelector(".modal-backdrop")) return;
+  const key = e.key.toLowerCase();
+  if (key === "z" && !e.shiftKey) {
+    e.preventDefault();
+    undo();
+  } else if ((key === "z" && e.shiftKey) || key === "y") {
+    e.preventDefault();
+    redo();
+  }
+});
+
+// --- Session persistence ---
+// The working state is autosaved to IndexedDB under a session name so a reload
+// or closed tab doesn't lose unsaved labels. Several named sessions can coexist.
+const SESSION_DB_NAME = "chatViewer";
+const SESSION_STORE = "sessions";
+const AUTOSAVE_DELAY = 1000; // ms after the last change
+
+let activeSessionName = null;
+let lastSavedAt = null;
+let autosaveTimer = null;
+let restoringSession = false;
+let sessionDbPromise = null;
+
+function openSessionDb() {
+  if (!window.indexedDB) return Promise.reject(new Error("IndexedDB is not available in this browser"));
+  if (!sessionDbPromise) {
+    sessionDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(SESSION_DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(SESSION_STORE, { keyPath: "name" });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return sessionDbPromise;
+}
+
+// Run one request against the sessions store and resolve with its result
+async function sessionRequest(mode, makeRequest) {
+  const db = await openSessionDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(SESSION_STORE, mode);
+    const request = makeRequest(tx.objectStore(SESSION_STORE));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function listSessions() {
+  return sessionRequest("readonly", (store) => store.getAll())
+    .then((sessions) => sessions.sort((a, b) => b.savedAt - a.savedAt));
+}
+
+function putSession(session) {
+  return sessionRequest("readwrite", (store) => store.put(session));
+}
+
+function deleteSession(name) {
+  return sessionRequest("readwrite", (store) => store.delete(name));
+}
+
+async function uniqueSessionName(base) {
+  const names = new Set((await listSessions().catch(() => [])).map((s) => s.name));
+  if (!names.has(base)) return base;
+  let n = 2;
+  while (names.has(`${base} (${n})`)) n++;
+  return `${base} (${n})`;
+}
+
+// Flush any pending autosave, then point autosave at a new session
+async function startNewSession(baseName) {
+  if (autosaveTimer) await saveSession();
+  activeSessionName = await uniqueSessionName(baseName);
+  lastSavedAt = null;
+  renderSaveIndicator();
+}
+
+function serializeSession() {
+  const filters = {};
+  Object.entries(activeFilters).forEach(([col, filter]) => {
+    filters[col] = { ...filter, values: Array.from(filter.values) };
+  });
+
+  // Opened sheets keep their rows; untouched ones keep the original worksheet
+  const sheets = {};
+  const sourceSheets = {};
+  sheetNames.forEach((name) => {
+    if (name === currentSheet) return;
+    if (sheetStates[name]) sheets[name] = sheetStates[name];
+    else if (sourceWorkbook?.Sheets[name]) sourceSheets[name] = sourceWorkbook.Sheets[name];
+  });
+
+  return {
+    allRows,
+    identifierCols,
+    sheetNames,
+    currentSheet,
+    nextId,
+    headers: sheetHeaders,
+    schema: sheetSchema,
+    baseline: sheetBaseline,
+    sheets,
+    sourceSheets,
+    syncBaselines,
+    // The API key is deliberately not stored; the environment must be reconfigured
+    env: { location: envConfig.location, userEmail: envConfig.userEmail },
+    filters,
+    statusFilter: statusFilter.value,
+    rowSort: rowSort.value,
+    search: rowSearch.value,
+    selectedIndex: currentRow ? allRows.indexOf(currentRow) : -1
+  };
+}
+
+function scheduleAutosave() {
+  if (restoringSession || !window.indexedDB) return;
+  clearTimeout(autosaveTimer);
+  autosaveTimer = setTimeout(saveSession, AUTOSAVE_DELAY);
+}
+
+async function saveSession() {
+  clearTimeout(autosaveTimer);
+  autosaveTimer = null;
+  // Nothing worth saving until there's data or an edit
+  if (allRows.length === 0 && undoStack.length === 0) return;
+
+  try {
+    if (!activeSessionName) activeSessionName = await uniqueSessionName("Untitled session");
+    const savedAt = Date.now();
+    await putSession({ name: activeSessionName, savedAt, rowCount: allRows.length, data: serializeSession() });
+    lastSavedAt = savedAt;
+    renderSaveIndicator();
+    refreshSessionList();
+  } catch (error) {
+    console.error("Autosave failed:", error);
+    saveIndicator.textContent = "Autosave failed";
+    saveIndicator.classList.add("error");
+  }
+}
+
+function formatSavedAt(time) {
+  return new Date(time).toLocaleString("en-US", { month: "short", day: "numeric", hour: "numeric", minute: "2-digit", second: "2-digit" });
+}
+
+function renderSaveIndicator() {
+  saveIndicator.classList.remove("error");
+  if (!activeSessionName) {
+    saveIndicator.textContent = "";
+    return;
+  }
+  saveIndicator.textContent = lastSavedAt
+    ? `"${activeSessionName}" · last saved ${formatSavedAt(lastSavedAt)}`
+    : `"${activeSessionName}" · not saved yet`;
+}
+
+async function refreshSessionList() {
+  let sessions = [];
+  try {
+    sessions = await listSessions();
+  } catch (error) {
+    sessionStatus.textContent = `Sessions unavailable: ${error.message}`;
+  }
+
+  const selected = sessionSelect.value || activeSessionName;
+  sessionSelect.innerHTML = "";
+  if (sessions.length === 0) {
+    sessionSelect.innerHTML = '<option value="">No saved sessions</option>';
+  }
+  sessions.forEach((session) => {
+    const opt = document.createElement("option");
+    opt.value = session.name;
+    const active = session.name === activeSessionName ? " (current)" : "";
+    opt.textContent = `${session.name}${active} — ${session.rowCount} rows, ${formatSavedAt(session.savedAt)}`;
+    opt.selected = session.name === selected;
+    sessionSelect.appendChild(opt);
+  });
+
+  sessionSelect.disabled = sessions.length === 0;
+  sessionRestoreBtn.disabled = sessions.length === 0;
+  sessionDiscardBtn.disabled = sessions.length === 0;
+  sessionRenameBtn.disabled = allRows.length === 0;
+  return sessions;
 }
 
-function applyAll(keepSelection = false) {
-  const afterFilter = applyFilters(allRows);
-  filteredRows = afterFilter;
+function applySession(session) {
+  const data = session.data;
+  restoringSession = true;
+  try {
+    allRows = data.allRows;
+    identifierCols = data.identifierCols;
+    nextId = data.nextId;
+    sheetHeaders = data.headers || [];
+    sheetSchema = data.schema || null;
+    sheetBaseline = data.baseline || null;
+    sheetNames = data.sheetNames || [];
+    currentSheet = data.currentSheet;
+    sheetStates = data.sheets || {};
+    sourceWorkbook = { SheetNames: sheetNames, Sheets: data.sourceSheets || {} };
+    syncBaselines = data.syncBaselines || {};
+    populateSheetSelect();
 
-  if (!keepSelection) activeIndex = null;
-  renderRowList(filteredRows);
-  
-  // Update sync buttons if function exists
-  if (typeof updateSyncButtons === 'function') {
-    updateSyncButtons();
+    // Pre-fill the environment form; the API key has to be entered again
+    if (data.env?.location) el("location").value = data.env.location;
+    if (data.env?.userEmail) el("userEmail").value = data.env.userEmail;
+
+    activeFilters = {};
+    Object.entries(data.filters || {}).forEach(([col, filter]) => {
+      activeFilters[col] = { ...filter, values: new Set(filter.values) };
+    });
+    statusFilter.value = data.statusFilter || "";
+    rowSort.value = data.rowSort || "";
+    rowSearch.value = data.search || "";
+    searchQuery = parseSearchQuery(rowSearch.value);
+
+    clearHistory();
+    clearChatDisplay();
+    buildFilters();
+    applyAll();
+
+    const selected = allRows[data.selectedIndex];
+    if (selected) selectRow(selected);
+    downloadBtn.disabled = allRows.length === 0;
+
+    activeSessionName = session.name;
+    lastSavedAt = session.savedAt;
+  } finally {
+    restoringSession = false;
   }
+  renderSaveIndicator();
+  refreshSessionList();
 }
 
-// --- Update functions for editing ---
-function updateNoteInRow(row, exchangeIndex, noteValue) {
-  // exchangeIndex is 0-based, but columns are 1-based (N1, N2, etc.)
-  const columnName = `N${exchangeIndex + 1}`;
-  row[columnName] = noteValue;
-  // Trigger download button update
-  downloadBtn.disabled = false;
+async function restoreSession(name) {
+  const session = await sessionRequest("readonly", (store) => store.get(name));
+  if (!session) throw new Error(`Session "${name}" not found`);
+  // Keep whatever is open now before switching away from it
+  if (autosaveTimer) await saveSession();
+  applySession(session);
 }
 
-function updateExpectedInRow(row, exchangeIndex, expectedValue) {
-  // exchangeIndex is 0-based
-  let columnName;
-  if (exchangeIndex === 0) {
-    columnName = "Expected";
-  } else {
-    columnName = `Expected_${exchangeIndex}`;
+// Offer the most recent session when the page loads
+async function initSessions() {
+  let sessions;
+  try {
+    sessions = await refreshSessionList();
+  } catch (error) {
+    return;
   }
-  row[columnName] = expectedValue;
-  // Trigger download button update
-  downloadBtn.disabled = false;
-}
+  if (!sessions || sessions.length === 0 || allRows.length > 0) return;
 
-function updateMetadataInRow(columnName, value) {
-  if (!currentRow) return;
-  
-  // For Date column, if user entered a formatted date, try to convert it back
-  if (/date/i.test(columnName)) {
-    // Try to parse the formatted date back to a value we can store
-    const parsedDate = parseDateString(value);
-    if (parsedDate) {
-      // Convert to ISO string for storage
-      const isoDate = parsedDate.toISOString().split('T')[0];
-      currentRow[columnName] = isoDate;
-      triggerAutoSync();
-      return;
+  const latest = sessions[0];
+  const others = sessions.length > 1 ? ` ${sessions.length - 1} other session(s) are listed in the Sessions panel.` : "";
+  const choice = await showDialog({
+    title: "Restore previous session?",
+    message: `"${latest.name}" (${latest.rowCount} rows) was last saved ${formatSavedAt(latest.savedAt)}.${others}`,
+    buttons: [
+      { label: "Restore", value: "restore", primary: true },
+      { label: "Start fresh", value: null }
+    ]
+  });
+  if (choice === "restore") {
+    try {
+      applySession(latest);
+    } catch (error) {
+      alert(`Error restoring session: ${error.message}`);
     }
   }
-  
-  // For other columns, store as-is
-  currentRow[columnName] = value;
-  triggerAutoSync();
 }
 
-function triggerAutoSync() {
-  // Auto-sync removed per user request
+sessionRestoreBtn.addEventListener("click", async () => {
+  const name = sessionSelect.value;
+  if (!name) return;
+  if (name === activeSessionName && !confirm(`Reload "${name}" from its last save?`)) return;
+  try {
+    await restoreSession(name);
+    sessionStatus.textContent = `Restored "${name}".`;
+  } catch (error) {
+    sessionStatus.textContent = `Error restoring session: ${error.message}`;
+  }
+});
+
+sessionRenameBtn.addEventListener("click", async () => {
+  const name = prompt("Save the current work as session:", activeSessionName || "");
+  if (!name || !name.trim()) return;
+  const trimmed = name.trim();
+  const existing = (await listSessions()).some((s) => s.name === trimmed);
+  if (existing && trimmed !== activeSessionName && !confirm(`Overwrite the saved session "${trimmed}"?`)) return;
+  activeSessionName = trimmed;
+  await saveSession();
+  sessionStatus.textContent = `Saved as "${trimmed}".`;
+});
+
+sessionDiscardBtn.addEventListener("click", async () => {
+  const name = sessionSelect.value;
+  if (!name || !confirm(`Discard the saved session "${name}"? This cannot be undone.`)) return;
+  try {
+    await deleteSession(name);
+    if (name === activeSessionName) {
+      // Stop autosaving into the discarded session; further edits start a new one
+      clearTimeout(autosaveTimer);
+      autosaveTimer = null;
+      activeSessionName = null;
+      lastSavedAt = null;
+      renderSaveIndicator();
+    }
+    sessionStatus.textContent = `Discarded "${name}".`;
+    refreshSessionList();
+  } catch (error) {
+    sessionStatus.textContent = `Error discarding session: ${error.message}`;
+  }
+});
+
+// Best effort: write a pending autosave before the tab goes away
+window.addEventListener("beforeunload", () => {
+  if (autosaveTimer) saveSession();
+});
+
+// --- Toasts ---
+function showToast(message, actionLabel = null, action = null) {
+  const toast = document.createElement("div");
+  toast.className = "toast";
+
+  const text = document.createElement("span");
+  text.textContent = message;
+  toast.appendChild(text);
+
+  if (actionLabel && action) {
+    const btn = document.createElement("button");
+    btn.className = "link-btn";
+    btn.textContent = actionLabel;
+    btn.addEventListener("click", () => {
+      toast.remove();
+      action();
+    });
+    toast.appendChild(btn);
+  }
+
+  toastContainer.appendChild(toast);
+  setTimeout(() => toast.remove(), 6000);
 }
 
 // --- API Integration ---
-function getHeaders() {
+const ENV_BASE_URLS = {
+  Development: "https://dev-api.ikigailabs.io",
+  Production: "https://api.ikigailabs.io"
+};
+
+// Credentials default to the configured environment; replays pass the target's
+function getHeaders(credentials = envConfig) {
   return {
-    'User': envConfig.userEmail,
-    'Api-key': envConfig.apiKey,
+    'User': credentials.userEmail,
+    'Api-key': credentials.apiKey,
     'Content-Type': 'application/json'
   };
 }
@@ -766,118 +3769,591 @@ async function fetchChatExchanges(projectId, chatId) {
   }
 }
 
-function exchangesToRow(exchanges, location, userEmail, projectId, chatId, projectName = "") {
-  // Sort exchanges by created_at (earliest to latest)
-  const sortedExchanges = [...exchanges].sort((a, b) => {
-    const timeA = parseInt(a.created_at) || 0;
-    const timeB = parseInt(b.created_at) || 0;
-    return timeA - timeB;
+// Path of the call that answers one question in a chat. None of the get-* calls
+// above does this, so there is no default: replay stays off until it is set.
+// It is POSTed { project_id, chat_id, query } (chat_id null to start a chat) and
+// must answer { response, chat_id } or { exchange: { response, chat_id } }.
+function replayEndpoint() {
+  return localStorage.getItem("replayEndpoint") || "";
+}
+
+// Ask one question; a null chatId starts a new chat. Resolves to { chatId, response }.
+async function sendChatQuery(baseUrl, credentials, projectId, chatId, query, signal) {
+  const url = `${baseUrl}${replayEndpoint()}`;
+  const headers = getHeaders(credentials);
+
+  try {
+    const response = await fetch(url, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({ project_id: projectId, chat_id: chatId, query }),
+      signal
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const data = await response.json();
+    const answer = data.response ?? data.exchange?.response;
+    if (answer === undefined) {
+      throw new Error("Response has no \"response\" field");
+    }
+    return { chatId: data.chat_id ?? data.exchange?.chat_id ?? chatId, response: stableValue(answer) };
+  } catch (error) {
+    if (error.name !== "AbortError") console.error("Error sending query:", error);
+    throw error;
+  }
+}
+
+function sortExchanges(exchanges) {
+  // Sort exchanges by created_at (earliest to latest)
+  return [...exchanges].sort((a, b) => {
+    const timeA = parseInt(a.created_at) || 0;
+    const timeB = parseInt(b.created_at) || 0;
+    return timeA - timeB;
+  });
+}
+
+// `id` keeps a known Id; without one the next free Id is taken
+function exchangesToRow(exchanges, location, userEmail, projectId, chatId, projectName = "", id = null) {
+  const sortedExchanges = sortExchanges(exchanges);
+
+  // Create new row - store date as ISO string for easy conversion
+  const today = new Date();
+  const dateStr = today.toISOString().split('T')[0]; // YYYY-MM-DD format
+  
+  const newRow = {
+    "Id": id ?? nextId++,
+    "Priority": "None",
+    "Project Name": projectName, // Auto-set from selected project
+    "Project Description": "",
+    "Date": dateStr,
+    "Location Run": location,
+    "User Email": userEmail,
+    "Project Id": projectId,
+    "Chat Id": chatId,
+    "Note": ""
+  };
+
+  // Add Q/R/N/Expected pairs
+  sortedExchanges.forEach((exchange, index) => {
+    const k = index + 1;
+    newRow[`Q${k}`] = exchange.query || "";
+    newRow[`R${k}`] = exchange.response || "";
+    newRow[`N${k}`] = ""; // Notes start empty
+    newRow[expectedColumnName(index)] = "";
+  });
+
+  return newRow;
+}
+
+// --- Refresh row from API ---
+// Responses that changed in the API since the row was captured, awaiting review.
+// Keyed by row object -> Map(exchangeIndex -> { query, response })
+const pendingResponseUpdates = new WeakMap();
+
+function canRefreshRow(row) {
+  return !isBlank(row["Project Id"]) && !isBlank(row["Chat Id"]);
+}
+
+async function refreshRowFromApi(row) {
+  if (!envConfig.baseUrl || !envConfig.userEmail || !envConfig.apiKey) {
+    throw new Error("Please configure environment first!");
+  }
+
+  // Chat IDs only exist in the environment the row was captured from
+  const rowLocation = stableValue(row["Location Run"]);
+  if (rowLocation && rowLocation !== envConfig.location) {
+    throw new Error(`This chat was captured in ${rowLocation}. Configure the ${rowLocation} environment to refresh it.`);
+  }
+
+  const data = await fetchChatExchanges(row["Project Id"], row["Chat Id"]);
+  const exchanges = sortExchanges(data.exchanges || []);
+  const existingCount = getExchangeCount(row);
+
+  let added = 0;
+  const changes = new Map();
+
+  recordAction(`Refresh ${getRowTitle(row)} from API`, () => exchanges.forEach((exchange, index) => {
+    const k = index + 1;
+    const query = exchange.query || "";
+    const response = exchange.response || "";
+
+    if (k > existingCount) {
+      // New exchange - append as the next Q/R/N/Expected columns
+      setCell(row, `Q${k}`, query);
+      setCell(row, `R${k}`, response);
+      if (!(`N${k}` in row)) setCell(row, `N${k}`, "");
+      if (!(expectedColumnName(index) in row)) setCell(row, expectedColumnName(index), "");
+      added++;
+      return;
+    }
+
+    // Slot exists but has no response yet - nothing to overwrite, so fill it in
+    if (isBlank(row[`R${k}`]) && (isBlank(row[`Q${k}`]) || stableValue(row[`Q${k}`]).trim() === query.trim())) {
+      setCell(row, `Q${k}`, query);
+      setCell(row, `R${k}`, response);
+      added++;
+      return;
+    }
+
+    // Existing exchange - never overwrite, flag for review instead
+    const queryChanged = stableValue(row[`Q${k}`]).trim() !== query.trim();
+    const responseChanged = stableValue(row[`R${k}`]).trim() !== response.trim();
+    if (queryChanged || responseChanged) {
+      changes.set(index, { query, response });
+    }
+  }));
+
+  if (changes.size > 0) {
+    pendingResponseUpdates.set(row, changes);
+  } else {
+    pendingResponseUpdates.delete(row);
+  }
+
+  return { added, changed: changes.size };
+}
+
+async function refreshRowWithFeedback(row) {
+  try {
+    const { added, changed } = await refreshRowFromApi(row);
+    if (added > 0) downloadBtn.disabled = false;
+    if (currentRow === row) renderChat(row);
+    if (added === 0 && changed === 0) {
+      alert("Chat is up to date.");
+    } else {
+      alert(`Refreshed: ${added} new exchange(s), ${changed} changed exchange(s) flagged for review.`);
+    }
+  } catch (error) {
+    alert(`Error refreshing chat: ${error.message}`);
+  }
+}
+
+function acceptResponseUpdate(row, exchangeIndex) {
+  const changes = pendingResponseUpdates.get(row);
+  const update = changes?.get(exchangeIndex);
+  if (!update) return;
+
+  // Replace only the text; the note and Expected label stay as reviewed
+  recordAction(`Use new response on ${getRowTitle(row)}, turn ${exchangeIndex + 1}`, () => {
+    setCell(row, `Q${exchangeIndex + 1}`, update.query);
+    setCell(row, `R${exchangeIndex + 1}`, update.response);
+  });
+  dismissResponseUpdate(row, exchangeIndex);
+  downloadBtn.disabled = false;
+}
+
+function dismissResponseUpdate(row, exchangeIndex) {
+  const changes = pendingResponseUpdates.get(row);
+  if (!changes) return;
+  changes.delete(exchangeIndex);
+  if (changes.size === 0) pendingResponseUpdates.delete(row);
+}
+
+// --- Replay conversation ---
+// Re-asks a row's questions, in order, in another environment and stores the
+// answers as a new row linked to the original through the "Replay Of" column.
+const REPLAY_OF_COLUMN = "Replay Of";
+let activeReplay = null; // { row, controller } while a replay runs
+// { userEmail, apiKey } by environment, for replays outside the configured one.
+// Kept for this page only, like the environment's own key.
+const replayCredentials = {};
+
+function otherEnvironment(location) {
+  return location === "Production" ? "Development" : "Production";
+}
+
+async function replayRow(row, { location, projectId, credentials }, onProgress, signal) {
+  const queries = rowToTurns(row).map(t => stableValue(t.query)).filter(q => q.trim() !== "");
+  if (queries.length === 0) throw new Error("This row has no questions to replay");
+
+  const baseUrl = ENV_BASE_URLS[location];
+  const exchanges = [];
+  let chatId = null;
+  for (let i = 0; i < queries.length; i++) {
+    onProgress(i, queries.length);
+    try {
+      const result = await sendChatQuery(baseUrl, credentials, projectId, chatId, queries[i], signal);
+      chatId = result.chatId || chatId;
+      exchanges.push({ query: queries[i], response: result.response, created_at: String(i) });
+    } catch (error) {
+      // Hand back what finished so a partial replay can still be kept
+      error.exchanges = exchanges;
+      error.chatId = chatId;
+      error.turn = i + 1;
+      throw error;
+    }
+  }
+  onProgress(queries.length, queries.length);
+  return { exchanges, chatId };
+}
+
+function setReplayStatus(text, done = 0, total = 0) {
+  replayStatus.style.display = text ? "flex" : "none";
+  replayStatusText.textContent = text;
+  replayProgressBar.style.width = total ? `${Math.round((done / total) * 100)}%` : "0";
+}
+
+function addReplayRow(original, exchanges, chatId, { location, projectId, credentials }, note = "") {
+  const replay = exchangesToRow(exchanges, location, credentials.userEmail, projectId, chatId || "", stableValue(original["Project Name"]));
+  replay[REPLAY_OF_COLUMN] = isBlank(original.Id) ? getRowTitle(original) : original.Id;
+  replay.Note = note;
+  recordAction(`Replay ${getRowTitle(original)} in ${location}`, () => {
+    insertRow(replay, allRows.indexOf(original) + 1);
+  });
+  identifierCols = detectIdentifierCols(getOrderedColumns(allRows, sheetHeaders));
+  buildFilters();
+  applyAll();
+  selectRow(replay);
+  downloadBtn.disabled = false;
+  return replay;
+}
+
+// Credentials to prefill for an environment: those entered for it before, else
+// the configured environment's own when it is that environment
+function knownCredentials(location) {
+  if (replayCredentials[location]) return replayCredentials[location];
+  if (envConfig.location === location) return { userEmail: envConfig.userEmail, apiKey: envConfig.apiKey };
+  return { userEmail: envConfig.userEmail || "", apiKey: "" };
+}
+
+async function openReplayDialog(row) {
+  if (!replayEndpoint()) {
+    alert("Set the replay endpoint under Configure Environment first. It is the API path that answers one question in a chat.");
+    return;
+  }
+  if (activeReplay) {
+    alert("A replay is already running");
+    return;
+  }
+
+  const content = document.createElement("div");
+  const locationSelect = document.createElement("select");
+  Object.keys(ENV_BASE_URLS).forEach(location => {
+    const opt = document.createElement("option");
+    opt.value = location;
+    opt.textContent = location;
+    locationSelect.appendChild(opt);
+  });
+  locationSelect.value = otherEnvironment(stableValue(row["Location Run"]));
+  const projectInput = document.createElement("input");
+  projectInput.type = "text";
+  projectInput.value = stableValue(row["Project Id"]);
+  projectInput.placeholder = "Project Id in the target environment";
+  // A key from one environment does not authenticate against the other
+  const emailInput = document.createElement("input");
+  emailInput.type = "email";
+  emailInput.placeholder = "User in the target environment";
+  const keyInput = document.createElement("input");
+  keyInput.type = "password";
+  keyInput.placeholder = "Api Key for the target environment";
+  const fillCredentials = () => {
+    const known = knownCredentials(locationSelect.value);
+    emailInput.value = known.userEmail || "";
+    keyInput.value = known.apiKey || "";
+  };
+  fillCredentials();
+  locationSelect.addEventListener("change", fillCredentials);
+  content.appendChild(schemaField("Replay in", locationSelect));
+  content.appendChild(schemaField("Project Id", projectInput));
+  content.appendChild(schemaField("User Email", emailInput));
+  content.appendChild(schemaField("Api Key", keyInput));
+
+  const turns = rowToTurns(row).filter(t => !isBlank(t.query)).length;
+  const choice = await showDialog({
+    title: `Replay ${getRowTitle(row)}`,
+    message: `Sends the ${turns} question(s) of this conversation, one at a time, through ${replayEndpoint()} and saves the answers as a new row.`,
+    content,
+    buttons: [
+      { label: "Cancel", value: null },
+      { label: "Replay", value: "replay", primary: true }
+    ]
+  });
+  if (choice !== "replay") return;
+
+  const target = {
+    location: locationSelect.value,
+    projectId: projectInput.value.trim(),
+    credentials: { userEmail: emailInput.value.trim(), apiKey: keyInput.value.trim() }
+  };
+  if (!target.projectId) {
+    alert("Project Id is required");
+    return;
+  }
+  if (!target.credentials.userEmail || !target.credentials.apiKey) {
+    alert(`User Email and Api Key for ${target.location} are required`);
+    return;
+  }
+  replayCredentials[target.location] = target.credentials;
+
+  const controller = new AbortController();
+  activeReplay = { row, controller };
+  const label = `Replaying ${getRowTitle(row)} in ${target.location}`;
+  try {
+    const { exchanges, chatId } = await replayRow(row, target, (done, total) => {
+      setReplayStatus(`${label}: turn ${Math.min(done + 1, total)} of ${total}`, done, total);
+    }, controller.signal);
+    addReplayRow(row, exchanges, chatId, target);
+    showToast(`Replayed ${exchanges.length} turn(s) in ${target.location}`);
+  } catch (error) {
+    if (error.name === "AbortError") {
+      showToast("Replay cancelled");
+    } else {
+      const kept = error.exchanges?.length || 0;
+      if (kept > 0) {
+        addReplayRow(row, error.exchanges, error.chatId, target, `Replay stopped at turn ${error.turn}: ${error.message}`);
+      }
+      alert(`Replay stopped at turn ${error.turn || 1}: ${error.message}${kept ? `\nThe ${kept} completed turn(s) were saved as a new row.` : ""}`);
+    }
+  } finally {
+    activeReplay = null;
+    setReplayStatus("");
+  }
+}
+
+replayCancelBtn.addEventListener("click", () => {
+  if (activeReplay) activeReplay.controller.abort();
+});
+
+// --- Duplicate detection ---
+// Two rows are the same chat when Chat Id and environment (Location Run) match
+function chatKey(row) {
+  if (isBlank(row["Chat Id"])) return null;
+  return `${stableValue(row["Chat Id"]).trim()}\u0000${stableValue(row["Location Run"]).trim()}`;
+}
+
+function findRowsForChat(chatId, location) {
+  return allRows.filter(row =>
+    stableValue(row["Chat Id"]).trim() === stableValue(chatId).trim() &&
+    stableValue(row["Location Run"]).trim() === stableValue(location).trim()
+  );
+}
+
+// Groups of rows sharing a chat key, in sheet order
+function findDuplicateGroups() {
+  const groups = new Map();
+  allRows.forEach(row => {
+    const key = chatKey(row);
+    if (key === null) return;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+  return Array.from(groups.values()).filter(rows => rows.length > 1);
+}
+
+function isNoteColumn(col) {
+  return /^N\d+$/i.test(col) || col === "Note";
+}
+
+// Merge duplicates into the first row of the group. Blank cells are filled from
+// the duplicates; differing notes are combined and the first row's label wins.
+function mergeDuplicateGroup(rows) {
+  const [primary, ...duplicates] = rows;
+  let conflicts = 0;
+
+  duplicates.forEach(dup => {
+    Object.keys(dup).forEach(col => {
+      if (col === "Id") return;
+      const incoming = dup[col];
+      if (isBlank(incoming)) return;
+
+      if (isBlank(primary[col])) {
+        setCell(primary, col, incoming);
+        return;
+      }
+
+      const existing = stableValue(primary[col]).trim();
+      const value = stableValue(incoming).trim();
+      if (existing === value) return;
+
+      if (isNoteColumn(col)) {
+        setCell(primary, col, `${existing}\n${value}`);
+      } else if (/^Expected/i.test(col)) {
+        conflicts++;
+      }
+    });
+
+    removeRow(dup);
+  });
+
+  return { primary, removed: duplicates.length, conflicts };
+}
+
+function openDuplicatesDialog() {
+  const content = document.createElement("div");
+  content.className = "duplicates-list";
+  const status = document.createElement("div");
+  status.className = "hint";
+
+  function refreshView() {
+    buildFilters();
+    applyAll();
+    downloadBtn.disabled = false;
+    renderGroups();
+  }
+
+  function renderGroups() {
+    content.innerHTML = "";
+    const groups = findDuplicateGroups();
+
+    if (groups.length === 0) {
+      const none = document.createElement("div");
+      none.className = "hint";
+      none.textContent = "No duplicate chats in the loaded sheet.";
+      content.appendChild(none);
+      content.appendChild(status);
+      return;
+    }
+
+    const mergeAllBtn = document.createElement("button");
+    mergeAllBtn.type = "button";
+    mergeAllBtn.className = "btn";
+    mergeAllBtn.textContent = `Merge all (${groups.length})`;
+    mergeAllBtn.addEventListener("click", () => {
+      let removed = 0;
+      let conflicts = 0;
+      recordAction(`Merge ${groups.length} duplicate group(s)`, () => groups.forEach(group => {
+        const result = mergeDuplicateGroup(group);
+        removed += result.removed;
+        conflicts += result.conflicts;
+      }));
+      status.textContent = `Merged ${groups.length} group(s), removed ${removed} row(s). ${conflicts} conflicting label(s) kept from the first row.`;
+      refreshView();
+    });
+    content.appendChild(mergeAllBtn);
+
+    groups.forEach(group => {
+      const item = document.createElement("div");
+      item.className = "duplicate-group";
+
+      const label = document.createElement("div");
+      label.className = "duplicate-group-title";
+      const location = stableValue(group[0]["Location Run"]) || "no environment";
+      label.textContent = `Chat ${group[0]["Chat Id"]} (${location})`;
+
+      const rowsLine = document.createElement("div");
+      rowsLine.className = "rowsub";
+      rowsLine.textContent = group.map(getRowTitle).join(", ");
+
+      const mergeBtn = document.createElement("button");
+      mergeBtn.type = "button";
+      mergeBtn.className = "btn secondary";
+      mergeBtn.textContent = "Merge";
+      mergeBtn.addEventListener("click", () => {
+        const result = recordAction(`Merge duplicates of ${getRowTitle(group[0])}`, () => mergeDuplicateGroup(group));
+        status.textContent = `Merged ${result.removed} row(s) into ${getRowTitle(result.primary)}. ${result.conflicts} conflicting label(s) kept.`;
+        refreshView();
+      });
+
+      item.appendChild(label);
+      item.appendChild(rowsLine);
+      item.appendChild(mergeBtn);
+      content.appendChild(item);
+    });
+    content.appendChild(status);
+  }
+
+  renderGroups();
+  return showDialog({
+    title: "Duplicate chats",
+    content,
+    buttons: [{ label: "Close", value: "close" }]
+  });
+}
+
+// --- Column order ---
+// Exports keep the sheet's own header order, custom columns included. Columns
+// that appeared since loading (new turns, new metadata) are slotted in after it.
+const STANDARD_COLUMNS = ["Id", "Priority", "Project Name", "Project Description", "Date",
+                          "Location Run", "User Email", "Project Id", "Chat Id", "Note"];
+const EXCHANGE_COLUMN_KINDS = ["Q", "R", "N", "Expected"];
+
+// Sort key of an exchange column (turn, then Q < R < N < Expected), or null for other columns
+function exchangeColumnKey(col) {
+  let match = col.match(/^([QRN])(\d+)$/i);
+  if (match) return parseInt(match[2]) * 10 + EXCHANGE_COLUMN_KINDS.indexOf(match[1].toUpperCase());
+  if (col === "Expected") return 10 + 3;
+  match = col.match(/^Expected_(\d+)$/);
+  if (match) return (parseInt(match[1]) + 1) * 10 + 3;
+  return null;
+}
+
+function getOrderedColumns(rows, headers = []) {
+  const columns = headers.length > 0 ? [...headers] : [...STANDARD_COLUMNS];
+  const known = new Set(columns);
+  const added = [];
+  rows.forEach(row => {
+    Object.keys(row).forEach(key => {
+      if (!known.has(key)) {
+        known.add(key);
+        added.push(key);
+      }
+    });
   });
 
-  // Create new row - store date as ISO string for easy conversion
-  const today = new Date();
-  const dateStr = today.toISOString().split('T')[0]; // YYYY-MM-DD format
-  
-  const newRow = {
-    "Id": nextId++,
-    "Priority": "None",
-    "Project Name": projectName, // Auto-set from selected project
-    "Project Description": "",
-    "Date": dateStr,
-    "Location Run": location,
-    "User Email": userEmail,
-    "Project Id": projectId,
-    "Chat Id": chatId,
-    "Note": ""
-  };
+  // Other new columns go last, in the order they first appear
+  const exchangeCols = added.filter(c => exchangeColumnKey(c) !== null)
+    .sort((a, b) => exchangeColumnKey(a) - exchangeColumnKey(b));
+  const otherCols = added.filter(c => exchangeColumnKey(c) === null);
 
-  // Add Q/R/N/Expected pairs
-  sortedExchanges.forEach((exchange, index) => {
-    const k = index + 1;
-    newRow[`Q${k}`] = exchange.query || "";
-    newRow[`R${k}`] = exchange.response || "";
-    newRow[`N${k}`] = ""; // Notes start empty
-    if (k === 1) {
-      newRow["Expected"] = "";
-    } else {
-      newRow[`Expected_${k - 1}`] = "";
-    }
+  exchangeCols.forEach(col => {
+    const key = exchangeColumnKey(col);
+    // After the last exchange column that sorts before it, else before the first one
+    let index = -1;
+    columns.forEach((c, i) => {
+      const k = exchangeColumnKey(c);
+      if (k !== null && k < key) index = i + 1;
+    });
+    if (index === -1) index = columns.findIndex(c => exchangeColumnKey(c) !== null);
+    if (index === -1) index = columns.length;
+    columns.splice(index, 0, col);
   });
 
-  return newRow;
+  return [...columns, ...otherCols];
 }
 
 // --- Download Excel ---
 function downloadExcel() {
-  if (allRows.length === 0) {
+  if (allRows.length === 0 && !sourceWorkbook) {
     alert("No data to download");
     return;
   }
 
-  // Create workbook
+  // Create workbook with every sheet in its original order; sheets that were
+  // never opened are copied over untouched
   const wb = XLSX.utils.book_new();
-  
-  // Get all unique column names from all rows
-  const allColumns = new Set();
-  allRows.forEach(row => {
-    Object.keys(row).forEach(key => allColumns.add(key));
-  });
-  
-  // Ensure standard columns are first
-  const standardCols = ["Id", "Priority", "Project Name", "Project Description", "Date", 
-                         "Location Run", "User Email", "Project Id", "Chat Id", "Note"];
-  const otherCols = Array.from(allColumns).filter(col => !standardCols.includes(col));
-  
-  // Sort Q/R/N/Expected columns properly
-  const qCols = otherCols.filter(c => /^Q\d+$/i.test(c)).sort((a, b) => {
-    const numA = parseInt(a.match(/\d+/)[0]);
-    const numB = parseInt(b.match(/\d+/)[0]);
-    return numA - numB;
-  });
-  const rCols = otherCols.filter(c => /^R\d+$/i.test(c)).sort((a, b) => {
-    const numA = parseInt(a.match(/\d+/)[0]);
-    const numB = parseInt(b.match(/\d+/)[0]);
-    return numA - numB;
-  });
-  const nCols = otherCols.filter(c => /^N\d+$/i.test(c)).sort((a, b) => {
-    const numA = parseInt(a.match(/\d+/)[0]);
-    const numB = parseInt(b.match(/\d+/)[0]);
-    return numA - numB;
-  });
-  const expectedCols = otherCols.filter(c => /^Expected/i.test(c)).sort((a, b) => {
-    if (a === "Expected") return -1;
-    if (b === "Expected") return 1;
-    const numA = parseInt(a.match(/\d+/)?.[0]) || 0;
-    const numB = parseInt(b.match(/\d+/)?.[0]) || 0;
-    return numA - numB;
-  });
-  
-  // Interleave Q/R/N/Expected columns
-  const maxPairs = Math.max(qCols.length, rCols.length, nCols.length);
-  const interleavedCols = [];
-  for (let i = 0; i < maxPairs; i++) {
-    if (qCols[i]) interleavedCols.push(qCols[i]);
-    if (rCols[i]) interleavedCols.push(rCols[i]);
-    if (nCols[i]) interleavedCols.push(nCols[i]);
-    if (i === 0 && expectedCols.find(c => c === "Expected")) {
-      interleavedCols.push("Expected");
-    } else if (expectedCols.find(c => c === `Expected_${i}`)) {
-      interleavedCols.push(`Expected_${i}`);
+  stashCurrentSheet();
+  const names = sheetNames.length > 0 ? sheetNames : [currentSheet || "Sheet1"];
+  names.forEach((name) => {
+    let ws;
+    if (sheetStates[name]) {
+      const state = sheetStates[name];
+      ws = rowsToWorksheet(state.rows, state.headers, state.schema);
+    } else if (name === (currentSheet || "Sheet1")) {
+      ws = rowsToWorksheet(allRows, sheetHeaders, sheetSchema);
+    } else {
+      ws = sourceWorkbook?.Sheets[name];
     }
-  }
+    if (ws) XLSX.utils.book_append_sheet(wb, ws, name);
+  });
   
-  const orderedColumns = [...standardCols, ...interleavedCols];
+  // Download
+  XLSX.writeFile(wb, "chat-data.xlsx");
+}
+
+function rowsToWorksheet(rows, headers, schema = null) {
+  const table = denormalizeRows(rows, headers, schema);
+  const orderedColumns = table.columns;
   
   // Convert rows to array of arrays, converting dates to Excel serial numbers
   const wsData = [orderedColumns]; // Header row
-  const dateColIndex = orderedColumns.indexOf("Date");
+  const dateColIndex = orderedColumns.indexOf(table.dateColumn);
   
-  allRows.forEach(row => {
+  table.rows.forEach(row => {
     const rowData = orderedColumns.map((col, colIndex) => {
       const value = row[col] || "";
       
       // Convert Date column to Excel date serial number
-      if (col === "Date" && value) {
+      if (col === table.dateColumn && value) {
         return convertToExcelDate(value);
       }
       
@@ -907,93 +4383,704 @@ function downloadExcel() {
     ws['!cols'][dateColIndex] = { wch: 12 };
   }
   
-  XLSX.utils.book_append_sheet(wb, ws, currentSheet || "Sheet1");
+  return ws;
+}
+
+// Convert date string or number to Excel date serial number
+function convertToExcelDate(value) {
+  if (!value) return "";
   
-  // Download
-  XLSX.writeFile(wb, "chat-data.xlsx");
+  // If it's already a number (Excel serial), return it
+  const num = Number(value);
+  if (!isNaN(num) && num > 0 && num < 1000000) {
+    // Check if it's already an Excel date serial number
+    const testDate = new Date(1899, 11, 30);
+    testDate.setDate(testDate.getDate() + num);
+    if (testDate.getFullYear() >= 1900 && testDate.getFullYear() <= 2100) {
+      return num;
+    }
+  }
+  
+  // Try to parse as date string
+  let date;
+  if (typeof value === 'string') {
+    // Try various date formats
+    date = new Date(value);
+    if (isNaN(date.getTime())) {
+      // Try parsing formats like "January 15, 2024"
+      date = parseDateString(value);
+    }
+  } else {
+    date = new Date(value);
+  }
+  
+  if (isNaN(date.getTime())) {
+    return value; // Return original if can't parse
+  }
+  
+  // Convert to Excel serial number
+  // Excel epoch: Dec 30, 1899 (Excel incorrectly treats 1900 as leap year)
+  const excelEpoch = new Date(1899, 11, 30);
+  const diffTime = date.getTime() - excelEpoch.getTime();
+  const diffDays = Math.round(diffTime / (1000 * 60 * 60 * 24));
+  
+  return diffDays;
+}
+
+// Parse date strings like "January 15, 2024" or "2024-01-15"
+function parseDateString(dateStr) {
+  if (!dateStr || typeof dateStr !== 'string') return null;
+  
+  // Try ISO format first (YYYY-MM-DD)
+  const isoMatch = dateStr.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (isoMatch) {
+    return new Date(parseInt(isoMatch[1]), parseInt(isoMatch[2]) - 1, parseInt(isoMatch[3]));
+  }
+  
+  // Try month name format "January 15, 2024"
+  const monthNameMatch = dateStr.match(/(\w+)\s+(\d+),\s+(\d+)/);
+  if (monthNameMatch) {
+    const monthNames = ["january", "february", "march", "april", "may", "june",
+      "july", "august", "september", "october", "november", "december"];
+    const month = monthNames.indexOf(monthNameMatch[1].toLowerCase());
+    if (month >= 0) {
+      return new Date(parseInt(monthNameMatch[3]), month, parseInt(monthNameMatch[2]));
+    }
+  }
+  
+  // Try numeric formats
+  const numericMatch = dateStr.match(/(\d+)[\/-](\d+)[\/-](\d+)/);
+  if (numericMatch) {
+    const parts = numericMatch.slice(1).map(Number);
+    if (parts[0] > 1000) {
+      // YYYY-MM-DD or YYYY/MM/DD
+      return new Date(parts[0], parts[1] - 1, parts[2]);
+    } else if (parts[2] > 1000) {
+      // MM/DD/YYYY
+      return new Date(parts[2], parts[0] - 1, parts[1]);
+    }
+  }
+  
+  // Fallback to default parsing
+  const parsed = new Date(dateStr);
+  return isNaN(parsed.getTime()) ? null : parsed;
+}
+
+// --- JSONL export / import ---
+// One conversation per line: { metadata, messages: [{ role, content }], turns: [{ turn, label, note }] }.
+// Import also accepts plain OpenAI/Anthropic-style message arrays.
+const JSON_USER_ROLES = ["user", "human"];
+const JSON_ASSISTANT_ROLES = ["assistant", "model", "ai", "bot"];
+
+function downloadTextFile(text, filename, mimeType) {
+  const blob = new Blob([text], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function toIsoDate(value) {
+  const date = toDateValue(value);
+  if (!date || isNaN(date.getTime())) return stableValue(value);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function rowToJsonRecord(row) {
+  const metadata = {};
+  getOrderedColumns([row], sheetHeaders)
+    .filter(col => !parseExchangeColumn(col) && col in row)
+    .forEach(col => {
+      metadata[col] = isDateColumn(col) && !isBlank(row[col]) ? toIsoDate(row[col]) : row[col];
+    });
+
+  const messages = [];
+  const turns = [];
+  rowToMessages(row).forEach(msg => {
+    messages.push({ role: msg.role, content: msg.text });
+    if (msg.role === "assistant") {
+      turns.push({ turn: msg.exchangeIndex + 1, label: msg.expected || "", note: msg.note || "" });
+    }
+  });
+
+  return { metadata, messages, turns };
+}
+
+function exportJsonl() {
+  if (allRows.length === 0) {
+    alert("No data to export");
+    return;
+  }
+  const lines = allRows.map(row => JSON.stringify(rowToJsonRecord(row)));
+  downloadTextFile(lines.join("\n") + "\n", `${currentSheet || "chat-data"}.jsonl`, "application/jsonl");
+}
+
+// Text of a message whose content may be a string or a list of content parts
+function messageContentText(content) {
+  if (content === null || content === undefined) return "";
+  if (typeof content === "string") return content;
+  if (Array.isArray(content)) {
+    return content
+      .map(part => typeof part === "string" ? part : (part?.type === "text" || part?.text !== undefined ? stableValue(part.text) : ""))
+      .filter(text => text !== "")
+      .join("\n\n");
+  }
+  return stableValue(content.text ?? "");
+}
+
+// Pair messages into exchanges; system/tool messages are skipped and
+// consecutive messages from the same side are joined
+function messagesToExchanges(messages) {
+  const exchanges = [];
+  let current = null;
+  messages.forEach(msg => {
+    const role = stableValue(msg?.role).toLowerCase();
+    const text = messageContentText(msg?.content);
+    if (JSON_USER_ROLES.includes(role)) {
+      if (!current || current.response !== "") {
+        current = { query: "", response: "" };
+        exchanges.push(current);
+      }
+      current.query = current.query ? `${current.query}\n\n${text}` : text;
+    } else if (JSON_ASSISTANT_ROLES.includes(role)) {
+      if (!current) {
+        current = { query: "", response: "" };
+        exchanges.push(current);
+      }
+      current.response = current.response ? `${current.response}\n\n${text}` : text;
+    }
+  });
+  return exchanges;
+}
+
+// Parse a .jsonl or .json file into conversation records ({ messages, metadata?, turns? })
+function parseConversationFile(text) {
+  const trimmed = text.trim();
+  let items;
+  // A .json file (pretty-printed or not) parses whole; JSONL only line by line
+  try {
+    const parsed = JSON.parse(trimmed);
+    items = Array.isArray(parsed) ? parsed : [parsed];
+    // A single conversation given as a bare message array
+    if (items.length > 0 && items.every(item => item && typeof item === "object" && "role" in item)) {
+      items = [items];
+    }
+  } catch (e) {
+    items = null; // Fall through to line-by-line parsing
+  }
+  if (!items) {
+    items = trimmed.split(/\r?\n/).filter(line => line.trim()).map((line, i) => {
+      try {
+        return JSON.parse(line);
+      } catch (e) {
+        throw new Error(`Line ${i + 1} is not valid JSON: ${e.message}`);
+      }
+    });
+  }
+
+  return items.map((item, i) => {
+    const record = Array.isArray(item) ? { messages: item } : item;
+    if (!record || !Array.isArray(record.messages)) {
+      throw new Error(`Conversation ${i + 1} has no "messages" array`);
+    }
+    return record;
+  });
+}
+
+function jsonRecordToRow(record, usedIds) {
+  // Metadata comes from our own export's "metadata" object or from scalar top-level fields
+  const metadata = {};
+  const source = record.metadata && typeof record.metadata === "object" ? record.metadata : record;
+  Object.entries(source).forEach(([key, value]) => {
+    if (["messages", "turns", "metadata", "system"].includes(key) || parseExchangeColumn(key)) return;
+    // A plain conversation's own id identifies the chat
+    if (key === "id" && source === record) key = "Chat Id";
+    if (value === null || typeof value !== "object") metadata[key] = value ?? "";
+  });
+  // Anthropic-style requests keep the system prompt outside the messages
+  if (typeof record.system === "string" && !("System" in metadata)) metadata["System"] = record.system;
+
+  // Keep the exported Id unless it is missing or already taken
+  let id = parseInt(metadata.Id);
+  if (isNaN(id) || usedIds.has(id)) id = null;
+  else nextId = Math.max(nextId, id + 1);
+  const row = exchangesToRow(messagesToExchanges(record.messages), "", "", "", "", "", id);
+  Object.assign(row, metadata, { Id: row.Id });
+  usedIds.add(row.Id);
+  if (metadata.Date === undefined) row.Date = new Date().toISOString().split("T")[0];
+  if (isBlank(row.Priority)) row.Priority = "None";
+
+  (Array.isArray(record.turns) ? record.turns : []).forEach(turn => {
+    const index = parseInt(turn?.turn) - 1;
+    if (isNaN(index) || index < 0) return;
+    if (!isBlank(turn.label)) row[expectedColumnName(index)] = stableValue(turn.label);
+    if (!isBlank(turn.note)) row[`N${index + 1}`] = stableValue(turn.note);
+  });
+  return row;
+}
+
+async function importConversationFile(file) {
+  let records;
+  try {
+    records = parseConversationFile(await file.text());
+  } catch (error) {
+    alert(`Error reading ${file.name}: ${error.message}`);
+    return;
+  }
+  if (records.length === 0) {
+    alert(`${file.name} contains no conversations`);
+    return;
+  }
+
+  const usedIds = new Set(allRows.map(row => parseInt(row.Id)).filter(id => !isNaN(id)));
+  const rows = [];
+  recordAction(`Import ${records.length} conversation(s) from ${file.name}`, () => {
+    records.forEach(record => {
+      const row = jsonRecordToRow(record, usedIds);
+      insertRow(row);
+      rows.push(row);
+    });
+  });
+
+  identifierCols = detectIdentifierCols(getOrderedColumns(allRows, sheetHeaders));
+  buildFilters();
+  applyAll();
+  selectRow(rows[0]);
+  downloadBtn.disabled = false;
+  showToast(`Imported ${rows.length} conversation(s) from ${file.name}`);
+}
+
+// --- CSV / TSV ---
+const DELIMITER_CANDIDATES = [",", "\t", ";", "|"];
+
+// Decode with the byte-order mark if there is one, else UTF-8, falling back to Windows-1252
+function decodeText(buffer) {
+  const bytes = new Uint8Array(buffer);
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+    return { text: new TextDecoder("utf-8").decode(bytes.subarray(3)), encoding: "UTF-8" };
+  }
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+    return { text: new TextDecoder("utf-16le").decode(bytes.subarray(2)), encoding: "UTF-16LE" };
+  }
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+    return { text: new TextDecoder("utf-16be").decode(bytes.subarray(2)), encoding: "UTF-16BE" };
+  }
+  try {
+    return { text: new TextDecoder("utf-8", { fatal: true }).decode(bytes), encoding: "UTF-8" };
+  } catch (e) {
+    return { text: new TextDecoder("windows-1252").decode(bytes), encoding: "Windows-1252" };
+  }
+}
+
+// Pick the delimiter that splits the first lines into the same, largest number of fields
+function detectDelimiter(text) {
+  const sample = [];
+  let line = "";
+  let inQuotes = false;
+  for (let i = 0; i < text.length && sample.length < 20; i++) {
+    const ch = text[i];
+    if (ch === '"') inQuotes = !inQuotes;
+    if (!inQuotes && (ch === "\n" || ch === "\r")) {
+      if (line) sample.push(line);
+      line = "";
+    } else if (!inQuotes) {
+      line += ch;
+    }
+  }
+  if (line) sample.push(line);
+
+  let best = ",";
+  let bestScore = 0;
+  DELIMITER_CANDIDATES.forEach(delimiter => {
+    const counts = sample.map(l => l.split(delimiter).length - 1);
+    if (counts.length === 0 || counts[0] === 0) return;
+    // Favour delimiters whose count is the same on every line
+    const consistent = counts.filter(c => c === counts[0]).length / counts.length;
+    const score = counts[0] * consistent;
+    if (score > bestScore) {
+      best = delimiter;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+// RFC 4180 parsing: quoted fields may contain delimiters, quotes ("") and line breaks
+function parseDelimited(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === "") {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  // Skip blank lines
+  return rows.filter(r => r.length > 1 || r[0] !== "");
+}
+
+// Read a CSV/TSV file into a one-sheet workbook that loads like an uploaded Excel file
+async function readDelimitedWorkbook(file) {
+  const { text, encoding } = decodeText(await file.arrayBuffer());
+  const delimiter = /\.tsv$/i.test(file.name) ? "\t" : detectDelimiter(text);
+  const rows = parseDelimited(text, delimiter);
+  if (rows.length === 0) throw new Error("File is empty");
+
+  const wb = XLSX.utils.book_new();
+  const sheetName = file.name.replace(/\.[^.]+$/, "").slice(0, 31) || "Sheet1";
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(rows), sheetName);
+  const delimiterName = { ",": "comma", "\t": "tab", ";": "semicolon", "|": "pipe" }[delimiter];
+  showToast(`Read ${rows.length - 1} row(s) from ${file.name} (${encoding}, ${delimiterName}-separated)`);
+  return wb;
+}
+
+function escapeDelimitedField(value, delimiter) {
+  const text = stableValue(value);
+  if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+// Same columns and order as the Excel download; dates written as YYYY-MM-DD
+function rowsToDelimited(rows, delimiter) {
+  const table = denormalizeRows(rows, sheetHeaders, sheetSchema);
+  const lines = [table.columns.map(col => escapeDelimitedField(col, delimiter)).join(delimiter)];
+  table.rows.forEach(row => {
+    lines.push(table.columns.map(col => {
+      const value = row[col] || "";
+      return escapeDelimitedField(col === table.dateColumn && value ? toIsoDate(value) : value, delimiter);
+    }).join(delimiter));
+  });
+  return lines.join("\r\n") + "\r\n";
+}
+
+async function openDelimitedExportDialog() {
+  if (allRows.length === 0) {
+    alert("No data to export");
+    return;
+  }
+
+  const content = document.createElement("div");
+  const formatSelect = document.createElement("select");
+  formatSelect.innerHTML = `<option value="csv">CSV (comma-separated)</option>
+    <option value="tsv">TSV (tab-separated)</option>`;
+  const rowsSelect = document.createElement("select");
+  rowsSelect.innerHTML = `<option value="all">All ${allRows.length} rows in "${currentSheet || "Sheet1"}"</option>
+    <option value="filtered">Only the ${filteredRows.length} filtered rows</option>`;
+  rowsSelect.value = filteredRows.length < allRows.length ? "filtered" : "all";
+  content.appendChild(schemaField("Format", formatSelect));
+  content.appendChild(schemaField("Rows", rowsSelect));
+
+  const choice = await showDialog({
+    title: "Export CSV / TSV",
+    content,
+    buttons: [
+      { label: "Cancel", value: null },
+      { label: "Export", value: "export", primary: true }
+    ]
+  });
+  if (choice !== "export") return;
+
+  const format = formatSelect.value;
+  const rows = rowsSelect.value === "filtered" ? filteredRows : allRows;
+  // The byte-order mark makes Excel open the file as UTF-8
+  const text = "\ufeff" + rowsToDelimited(rows, format === "tsv" ? "\t" : ",");
+  const mimeType = format === "tsv" ? "text/tab-separated-values" : "text/csv";
+  downloadTextFile(text, `${currentSheet || "chat-data"}.${format}`, `${mimeType};charset=utf-8`);
+}
+
+// --- Report export ---
+// A self-contained HTML or Markdown copy of one or more transcripts for people
+// who don't use the viewer.
+const REPORT_STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #1f2937; background: #f9fafb; margin: 0; padding: 24px; }
+  main { max-width: 880px; margin: 0 auto; }
+  h1 { font-size: 22px; margin: 0 0 4px; }
+  .generated { color: #6b7280; font-size: 13px; margin-bottom: 24px; }
+  .conversation { background: #fff; border: 1px solid #e5e7eb; border-radius: 12px; padding: 16px 20px; margin-bottom: 24px; }
+  .conversation h2 { font-size: 17px; margin: 0 0 12px; }
+  .meta { display: grid; grid-template-columns: max-content 1fr; gap: 4px 12px; font-size: 13px; margin-bottom: 16px; }
+  .meta dt { color: #6b7280; }
+  .meta dd { margin: 0; }
+  .bubble { border-radius: 10px; padding: 10px 14px; margin: 10px 0; border: 1px solid #e5e7eb; }
+  .bubble.user { background: #eff6ff; border-color: #bfdbfe; }
+  .bubble.assistant { background: #fff; }
+  .bubble.expected-yes { border-left: 4px solid #16a34a; }
+  .bubble.expected-no { border-left: 4px solid #dc2626; }
+  .role { font-size: 12px; font-weight: 600; color: #6b7280; margin-bottom: 6px; display: flex; gap: 8px; align-items: center; }
+  .badge { border-radius: 999px; padding: 1px 8px; font-weight: 600; }
+  .badge.yes { background: #dcfce7; color: #166534; }
+  .badge.no { background: #fee2e2; color: #991b1b; }
+  .badge.unset { background: #f3f4f6; color: #6b7280; }
+  .message-text { white-space: normal; line-height: 1.5; }
+  .bubble.user .message-text { white-space: pre-wrap; }
+  .message-text pre { background: #f3f4f6; padding: 8px; border-radius: 6px; overflow-x: auto; }
+  .note { margin-top: 8px; padding: 6px 10px; background: #fefce8; border-radius: 6px; font-size: 13px; white-space: pre-wrap; }
+  .skipped { color: #6b7280; font-size: 12px; font-style: italic; }
+`;
+
+// Exchanges of a row with their labels: [{ turn, query, response, expected, note }]
+function rowToTurns(row) {
+  const turns = [];
+  let pendingQuery = null;
+  rowToMessages(row).forEach(msg => {
+    if (msg.role === "user") {
+      if (pendingQuery !== null) turns.push({ turn: turns.length ? turns[turns.length - 1].turn + 1 : 1, query: pendingQuery, response: null, expected: null, note: null });
+      pendingQuery = msg.text;
+    } else {
+      turns.push({ turn: msg.exchangeIndex + 1, query: pendingQuery, response: msg.text, expected: msg.expected, note: msg.note });
+      pendingQuery = null;
+    }
+  });
+  if (pendingQuery !== null) {
+    turns.push({ turn: turns.length ? turns[turns.length - 1].turn + 1 : 1, query: pendingQuery, response: null, expected: null, note: null });
+  }
+  return turns;
+}
+
+function isFailingTurn(turn) {
+  return normalizeExpected(turn.expected) === "no";
+}
+
+function reportMetadataCols() {
+  return identifierCols.filter(c => !/^Expected(_?\d+)?$/i.test(c.trim()));
+}
+
+function expectedBadgeText(expected) {
+  const value = normalizeExpected(expected);
+  if (value === "yes") return "✓ Expected";
+  if (value === "no") return "✗ Unexpected";
+  return "Not set";
+}
+
+function buildHtmlReport(rows, failingOnly) {
+  const doc = document.implementation.createHTMLDocument("Chat report");
+  const style = doc.createElement("style");
+  style.textContent = REPORT_STYLES;
+  doc.head.appendChild(style);
+  const charset = doc.createElement("meta");
+  charset.setAttribute("charset", "utf-8");
+  doc.head.prepend(charset);
+
+  const main = doc.createElement("main");
+  const title = doc.createElement("h1");
+  title.textContent = rows.length === 1 ? `Chat report: ${getRowTitle(rows[0])}` : `Chat report: ${rows.length} conversations`;
+  const generated = doc.createElement("div");
+  generated.className = "generated";
+  generated.textContent = `Generated ${new Date().toLocaleString()}${failingOnly ? " · failing exchanges only" : ""}`;
+  main.appendChild(title);
+  main.appendChild(generated);
+
+  rows.forEach(row => {
+    const section = doc.createElement("section");
+    section.className = "conversation";
+    const heading = doc.createElement("h2");
+    heading.textContent = getRowTitle(row);
+    section.appendChild(heading);
+
+    const metaList = doc.createElement("dl");
+    metaList.className = "meta";
+    reportMetadataCols().forEach(col => {
+      if (isBlank(row[col])) return;
+      const dt = doc.createElement("dt");
+      dt.textContent = col;
+      const dd = doc.createElement("dd");
+      dd.textContent = formatDateValue(row[col], col);
+      metaList.appendChild(dt);
+      metaList.appendChild(dd);
+    });
+    section.appendChild(metaList);
+
+    const turns = rowToTurns(row);
+    const shown = failingOnly ? turns.filter(isFailingTurn) : turns;
+    shown.forEach(turn => {
+      if (turn.query !== null) {
+        const bubble = doc.createElement("div");
+        bubble.className = "bubble user";
+        const role = doc.createElement("div");
+        role.className = "role";
+        role.textContent = `User · turn ${turn.turn}`;
+        const text = doc.createElement("div");
+        text.className = "message-text";
+        text.textContent = turn.query;
+        bubble.appendChild(role);
+        bubble.appendChild(text);
+        section.appendChild(bubble);
+      }
+      if (turn.response !== null) {
+        const value = normalizeExpected(turn.expected);
+        const bubble = doc.createElement("div");
+        bubble.className = `bubble assistant${value === "yes" ? " expected-yes" : value === "no" ? " expected-no" : ""}`;
+        const role = doc.createElement("div");
+        role.className = "role";
+        role.textContent = "Assistant";
+        const badge = doc.createElement("span");
+        badge.className = `badge ${value === "yes" || value === "no" ? value : "unset"}`;
+        badge.textContent = expectedBadgeText(turn.expected);
+        role.appendChild(badge);
+        const text = doc.createElement("div");
+        text.className = "message-text";
+        renderMarkdownInto(text, turn.response);
+        bubble.appendChild(role);
+        bubble.appendChild(text);
+        if (turn.note) {
+          const note = doc.createElement("div");
+          note.className = "note";
+          note.textContent = `Note: ${turn.note}`;
+          bubble.appendChild(note);
+        }
+        section.appendChild(bubble);
+      }
+    });
+    if (failingOnly && shown.length < turns.length) {
+      const skipped = doc.createElement("div");
+      skipped.className = "skipped";
+      skipped.textContent = `${turns.length - shown.length} passing or unlabeled exchange(s) omitted.`;
+      section.appendChild(skipped);
+    }
+    main.appendChild(section);
+  });
+
+  doc.body.appendChild(main);
+  return "<!DOCTYPE html>\n" + doc.documentElement.outerHTML;
 }
 
-// Convert date string or number to Excel date serial number
-function convertToExcelDate(value) {
-  if (!value) return "";
-  
-  // If it's already a number (Excel serial), return it
-  const num = Number(value);
-  if (!isNaN(num) && num > 0 && num < 1000000) {
-    // Check if it's already an Excel date serial number
-    const testDate = new Date(1899, 11, 30);
-    testDate.setDate(testDate.getDate() + num);
-    if (testDate.getFullYear() >= 1900 && testDate.getFullYear() <= 2100) {
-      return num;
+function markdownTableCell(value) {
+  return stableValue(value).replace(/\|/g, "\\|").replace(/\r?\n/g, "<br>");
+}
+
+function buildMarkdownReport(rows, failingOnly) {
+  const lines = [];
+  lines.push(rows.length === 1 ? `# Chat report: ${getRowTitle(rows[0])}` : `# Chat report: ${rows.length} conversations`);
+  lines.push("");
+  lines.push(`_Generated ${new Date().toLocaleString()}${failingOnly ? " · failing exchanges only" : ""}_`);
+
+  rows.forEach(row => {
+    lines.push("", `## ${getRowTitle(row)}`, "");
+    const metaCols = reportMetadataCols().filter(col => !isBlank(row[col]));
+    if (metaCols.length > 0) {
+      lines.push("| Field | Value |", "| --- | --- |");
+      metaCols.forEach(col => lines.push(`| ${markdownTableCell(col)} | ${markdownTableCell(formatDateValue(row[col], col))} |`));
     }
-  }
-  
-  // Try to parse as date string
-  let date;
-  if (typeof value === 'string') {
-    // Try various date formats
-    date = new Date(value);
-    if (isNaN(date.getTime())) {
-      // Try parsing formats like "January 15, 2024"
-      date = parseDateString(value);
+
+    const turns = rowToTurns(row);
+    const shown = failingOnly ? turns.filter(isFailingTurn) : turns;
+    shown.forEach(turn => {
+      lines.push("", `### Turn ${turn.turn}`, "");
+      if (turn.query !== null) {
+        lines.push("**User**", "");
+        turn.query.split(/\r?\n/).forEach(line => lines.push(`> ${line}`));
+        lines.push("");
+      }
+      if (turn.response !== null) {
+        lines.push(`**Assistant** — ${expectedBadgeText(turn.expected)}`, "", turn.response.trim(), "");
+        if (turn.note) lines.push(`**Note:** ${turn.note}`, "");
+      }
+    });
+    if (failingOnly && shown.length < turns.length) {
+      lines.push("", `_${turns.length - shown.length} passing or unlabeled exchange(s) omitted._`);
     }
-  } else {
-    date = new Date(value);
-  }
-  
-  if (isNaN(date.getTime())) {
-    return value; // Return original if can't parse
-  }
-  
-  // Convert to Excel serial number
-  // Excel epoch: Dec 30, 1899 (Excel incorrectly treats 1900 as leap year)
-  const excelEpoch = new Date(1899, 11, 30);
-  const diffTime = date.getTime() - excelEpoch.getTime();
-  const diffDays = Math.round(diffTime / (1000 * 60 * 60 * 24));
-  
-  return diffDays;
+    lines.push("", "---");
+  });
+  return lines.join("\n") + "\n";
 }
 
-// Parse date strings like "January 15, 2024" or "2024-01-15"
-function parseDateString(dateStr) {
-  if (!dateStr || typeof dateStr !== 'string') return null;
-  
-  // Try ISO format first (YYYY-MM-DD)
-  const isoMatch = dateStr.match(/^(\d{4})-(\d{2})-(\d{2})/);
-  if (isoMatch) {
-    return new Date(parseInt(isoMatch[1]), parseInt(isoMatch[2]) - 1, parseInt(isoMatch[3]));
+async function openReportDialog() {
+  if (!currentRow && filteredRows.length === 0) {
+    alert("No conversations to export");
+    return;
   }
-  
-  // Try month name format "January 15, 2024"
-  const monthNameMatch = dateStr.match(/(\w+)\s+(\d+),\s+(\d+)/);
-  if (monthNameMatch) {
-    const monthNames = ["january", "february", "march", "april", "may", "june",
-      "july", "august", "september", "october", "november", "december"];
-    const month = monthNames.indexOf(monthNameMatch[1].toLowerCase());
-    if (month >= 0) {
-      return new Date(parseInt(monthNameMatch[3]), month, parseInt(monthNameMatch[2]));
-    }
+
+  const content = document.createElement("div");
+  const scopeSelect = document.createElement("select");
+  if (currentRow) {
+    const opt = document.createElement("option");
+    opt.value = "current";
+    opt.textContent = `Current conversation (${getRowTitle(currentRow)})`;
+    scopeSelect.appendChild(opt);
   }
-  
-  // Try numeric formats
-  const numericMatch = dateStr.match(/(\d+)[\/-](\d+)[\/-](\d+)/);
-  if (numericMatch) {
-    const parts = numericMatch.slice(1).map(Number);
-    if (parts[0] > 1000) {
-      // YYYY-MM-DD or YYYY/MM/DD
-      return new Date(parts[0], parts[1] - 1, parts[2]);
-    } else if (parts[2] > 1000) {
-      // MM/DD/YYYY
-      return new Date(parts[2], parts[0] - 1, parts[1]);
-    }
+  const filteredOpt = document.createElement("option");
+  filteredOpt.value = "filtered";
+  filteredOpt.textContent = `All ${filteredRows.length} filtered conversations`;
+  scopeSelect.appendChild(filteredOpt);
+
+  const formatSelect = document.createElement("select");
+  formatSelect.innerHTML = `<option value="html">HTML (self-contained)</option>
+    <option value="md">Markdown</option>`;
+
+  const failingLabel = document.createElement("label");
+  failingLabel.className = "inline-check";
+  const failingCheck = document.createElement("input");
+  failingCheck.type = "checkbox";
+  failingLabel.appendChild(failingCheck);
+  failingLabel.appendChild(document.createTextNode(" Only failing (✗ Unexpected) exchanges"));
+
+  content.appendChild(schemaField("Conversations", scopeSelect));
+  content.appendChild(schemaField("Format", formatSelect));
+  content.appendChild(failingLabel);
+
+  const choice = await showDialog({
+    title: "Export report",
+    content,
+    buttons: [
+      { label: "Cancel", value: null },
+      { label: "Export", value: "export", primary: true }
+    ]
+  });
+  if (choice !== "export") return;
+
+  const failingOnly = failingCheck.checked;
+  let rows = scopeSelect.value === "current" ? [currentRow] : filteredRows;
+  // Conversations without a failing exchange have nothing to show
+  if (failingOnly) rows = rows.filter(row => rowToTurns(row).some(isFailingTurn));
+  if (rows.length === 0) {
+    alert("No failing exchanges in the selected conversations");
+    return;
+  }
+
+  const name = rows.length === 1 ? getRowTitle(rows[0]).replace(/[^\w-]+/g, "-").replace(/^-|-$/g, "") : `${currentSheet || "chat"}-report`;
+  if (formatSelect.value === "md") {
+    downloadTextFile(buildMarkdownReport(rows, failingOnly), `${name}.md`, "text/markdown;charset=utf-8");
+  } else {
+    downloadTextFile(buildHtmlReport(rows, failingOnly), `${name}.html`, "text/html;charset=utf-8");
   }
-  
-  // Fallback to default parsing
-  const parsed = new Date(dateStr);
-  return isNaN(parsed.getTime()) ? null : parsed;
 }
 
 // --- Configure Environment Form ---
+if (localStorage.getItem("replayEndpoint")) el("replayEndpoint").value = replayEndpoint();
+
 configEnvForm.addEventListener("submit", async (e) => {
   e.preventDefault();
   
@@ -1010,9 +5097,11 @@ configEnvForm.addEventListener("submit", async (e) => {
     envConfig.location = location;
     envConfig.userEmail = userEmail;
     envConfig.apiKey = apiKey;
-    envConfig.baseUrl = location === "Development" 
-      ? "https://dev-api.ikigailabs.io" 
-      : "https://api.ikigailabs.io";
+    envConfig.baseUrl = ENV_BASE_URLS[location];
+
+    const endpoint = el("replayEndpoint").value.trim();
+    if (endpoint) localStorage.setItem("replayEndpoint", endpoint);
+    else localStorage.removeItem("replayEndpoint");
     
     // Fetch projects
     const projects = await fetchProjects();
@@ -1040,6 +5129,9 @@ configEnvForm.addEventListener("submit", async (e) => {
     chatSearch.value = "";
     availableChats = [];
     filteredChats = [];
+    selectedBulkChats.clear();
+    renderBulkChatList();
+    updateAddChatButton();
     
     alert(`Environment configured! Found ${availableProjects.length} project(s).`);
   } catch (error) {
@@ -1065,6 +5157,8 @@ el("projectId").addEventListener("change", async (e) => {
     addChatBtn.disabled = true;
     availableChats = [];
     filteredChats = [];
+    selectedBulkChats.clear();
+    renderBulkChatList();
     return;
   }
   
@@ -1072,6 +5166,8 @@ el("projectId").addEventListener("change", async (e) => {
   chatSearch.disabled = true;
   chatSelect.innerHTML = '<option value="">Loading chats...</option>';
   chatSearch.value = "";
+  selectedBulkChats.clear();
+  el("bulkChatList").innerHTML = '<div class="hint">Loading chats...</div>';
   
   try {
     const chats = await fetchChats(projectId);
@@ -1082,10 +5178,7 @@ el("projectId").addEventListener("change", async (e) => {
     
     populateChatDropdown();
     chatSearch.disabled = false;
-    
-    if (availableChats.length > 0) {
-      addChatBtn.disabled = false;
-    }
+    updateAddChatButton();
   } catch (error) {
     alert(`Error fetching chats: ${error.message}`);
     chatSelect.innerHTML = '<option value="">Error loading chats</option>';
@@ -1094,6 +5187,7 @@ el("projectId").addEventListener("change", async (e) => {
     addChatBtn.disabled = true;
     availableChats = [];
     filteredChats = [];
+    renderBulkChatList();
   }
 });
 
@@ -1108,6 +5202,180 @@ function populateChatDropdown() {
     chatSelect.appendChild(option);
   });
   chatSelect.disabled = false;
+  renderBulkChatList();
+}
+
+// --- Bulk import helpers ---
+function isChatLoaded(chatId) {
+  return findRowsForChat(chatId, envConfig.location).length > 0;
+}
+
+function renderBulkChatList() {
+  const list = el("bulkChatList");
+  list.innerHTML = "";
+  el("bulkSelectAll").disabled = filteredChats.length === 0;
+  el("bulkSelectNone").disabled = selectedBulkChats.size === 0;
+
+  if (availableChats.length === 0) {
+    list.innerHTML = '<div class="hint">Select a project first</div>';
+    return;
+  }
+  if (filteredChats.length === 0) {
+    list.innerHTML = '<div class="hint">No chats match search.</div>';
+    return;
+  }
+
+  filteredChats.forEach(chatInfo => {
+    const item = document.createElement("label");
+    item.className = "bulk-chat-item";
+
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = selectedBulkChats.has(chatInfo.chat_id);
+    checkbox.addEventListener("change", () => {
+      if (checkbox.checked) {
+        selectedBulkChats.add(chatInfo.chat_id);
+      } else {
+        selectedBulkChats.delete(chatInfo.chat_id);
+      }
+      el("bulkSelectNone").disabled = selectedBulkChats.size === 0;
+      updateAddChatButton();
+    });
+
+    const name = document.createElement("span");
+    name.textContent = chatInfo.name;
+
+    item.appendChild(checkbox);
+    item.appendChild(name);
+
+    // Flag chats that would be skipped on import
+    if (isChatLoaded(chatInfo.chat_id)) {
+      const tag = document.createElement("span");
+      tag.className = "bulk-chat-tag";
+      tag.textContent = "loaded";
+      item.appendChild(tag);
+    }
+
+    list.appendChild(item);
+  });
+}
+
+function isBulkMode() {
+  return el("addChatMode").value === "bulk";
+}
+
+function updateAddChatButton() {
+  const addChatBtn = el("addChatBtn");
+  if (isBulkMode()) {
+    addChatBtn.textContent = selectedBulkChats.size > 0
+      ? `Import Selected (${selectedBulkChats.size})`
+      : "Import Selected";
+    addChatBtn.disabled = selectedBulkChats.size === 0;
+  } else {
+    addChatBtn.textContent = "Add Chat";
+    addChatBtn.disabled = !el("chatId").value;
+  }
+}
+
+function setAddChatProgress(done, total) {
+  const progress = el("addChatProgress");
+  if (total === 0) {
+    progress.style.display = "none";
+    return;
+  }
+  progress.style.display = "block";
+  el("addChatProgressBar").style.width = `${Math.round((done / total) * 100)}%`;
+}
+
+// Run an async worker over items with at most `limit` calls in flight.
+// Resolves to one { ok, value | error } entry per item, in input order.
+async function runWithConcurrency(items, limit, worker, onProgress) {
+  const results = new Array(items.length);
+  let next = 0;
+  let done = 0;
+
+  async function runner() {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { ok: true, value: await worker(items[index], index) };
+      } catch (error) {
+        results[index] = { ok: false, error };
+      }
+      done++;
+      if (onProgress) onProgress(done, items.length);
+    }
+  }
+
+  const runners = [];
+  for (let i = 0; i < Math.min(limit, items.length); i++) {
+    runners.push(runner());
+  }
+  await Promise.all(runners);
+  return results;
+}
+
+async function bulkImportChats(projectId) {
+  const selectedProject = availableProjects.find(p => p.project_id === projectId);
+  const projectName = selectedProject ? selectedProject.name : "";
+  const status = el("addChatStatus");
+
+  // Keep the project's chat order and split off chats that are already loaded
+  const selected = availableChats.filter(c => selectedBulkChats.has(c.chat_id));
+  const skipped = selected.filter(c => isChatLoaded(c.chat_id));
+  const toImport = selected.filter(c => !isChatLoaded(c.chat_id));
+
+  status.textContent = `Importing ${toImport.length} chat(s)...`;
+  setAddChatProgress(0, toImport.length);
+
+  const results = await runWithConcurrency(
+    toImport,
+    BULK_IMPORT_CONCURRENCY,
+    (chatInfo) => fetchChatExchanges(projectId, chatInfo.chat_id),
+    (done, total) => {
+      setAddChatProgress(done, total);
+      status.textContent = `Importing... ${done}/${total}`;
+    }
+  );
+
+  // Build rows in selection order so Ids follow the chat list
+  const imported = [];
+  const failed = [];
+  recordAction(`Import ${toImport.length} chat(s)`, () => results.forEach((result, i) => {
+    const chatInfo = toImport[i];
+    if (!result.ok) {
+      failed.push({ chat: chatInfo, error: result.error });
+      return;
+    }
+    const newRow = exchangesToRow(result.value.exchanges || [], envConfig.location, envConfig.userEmail, projectId, chatInfo.chat_id, projectName);
+    insertRow(newRow);
+    imported.push(newRow);
+  }));
+
+  setAddChatProgress(0, 0);
+  return { imported, skipped, failed };
+}
+
+function renderBulkImportSummary({ imported, skipped, failed }) {
+  const status = el("addChatStatus");
+  status.innerHTML = "";
+
+  const summary = document.createElement("div");
+  summary.textContent = `Imported ${imported.length}, skipped ${skipped.length} (already loaded), failed ${failed.length}.`;
+  status.appendChild(summary);
+
+  if (skipped.length > 0) {
+    const skippedLine = document.createElement("div");
+    skippedLine.textContent = `Skipped: ${skipped.map(c => c.name).join(", ")}`;
+    status.appendChild(skippedLine);
+  }
+
+  failed.forEach(({ chat: chatInfo, error }) => {
+    const failedLine = document.createElement("div");
+    failedLine.className = "status-error";
+    failedLine.textContent = `Failed: ${chatInfo.name} (${error.message})`;
+    status.appendChild(failedLine);
+  });
 }
 
 // --- Chat search handler ---
@@ -1139,6 +5407,33 @@ el("chatId").addEventListener("change", (e) => {
   addChatBtn.disabled = !e.target.value;
 });
 
+// --- Add chat mode toggle ---
+el("addChatMode").addEventListener("change", () => {
+  const bulk = isBulkMode();
+  el("singleChatGroup").style.display = bulk ? "none" : "block";
+  el("bulkChatGroup").style.display = bulk ? "block" : "none";
+  // The single chat select is only required when adding one chat
+  el("chatId").required = !bulk;
+  el("addChatStatus").textContent = "";
+  renderBulkChatList();
+  updateAddChatButton();
+});
+
+el("bulkSelectAll").addEventListener("click", () => {
+  // Select every chat matching the current search that isn't already loaded
+  filteredChats.forEach(c => {
+    if (!isChatLoaded(c.chat_id)) selectedBulkChats.add(c.chat_id);
+  });
+  renderBulkChatList();
+  updateAddChatButton();
+});
+
+el("bulkSelectNone").addEventListener("click", () => {
+  selectedBulkChats.clear();
+  renderBulkChatList();
+  updateAddChatButton();
+});
+
 // --- Add Chat Form submission ---
 addChatForm.addEventListener("submit", async (e) => {
   e.preventDefault();
@@ -1152,9 +5447,72 @@ addChatForm.addEventListener("submit", async (e) => {
   }
   
   const addChatBtn = el("addChatBtn");
+  
+  // Offer to reuse an existing row instead of silently adding a second copy
+  if (!isBulkMode()) {
+    const existing = findRowsForChat(chatId, envConfig.location);
+    if (existing.length > 0) {
+      const choice = await showDialog({
+        title: "Chat already loaded",
+        message: `This chat from ${envConfig.location} is already loaded as ${existing.map(getRowTitle).join(", ")}.`,
+        buttons: [
+          { label: "Go to row", value: "jump", primary: true },
+          { label: "Refresh it", value: "refresh" },
+          { label: "Add duplicate", value: "duplicate" },
+          { label: "Cancel", value: null }
+        ]
+      });
+      
+      if (choice === "jump") {
+        selectRow(existing[0]);
+        return;
+      }
+      if (choice === "refresh") {
+        selectRow(existing[0]);
+        addChatBtn.disabled = true;
+        addChatBtn.textContent = "Refreshing...";
+        await refreshRowWithFeedback(existing[0]);
+        addChatBtn.disabled = false;
+        addChatBtn.textContent = "Add Chat";
+        return;
+      }
+      if (choice !== "duplicate") return;
+    }
+  }
+  
   addChatBtn.disabled = true;
   addChatBtn.textContent = "Loading...";
   
+  if (isBulkMode()) {
+    el("addChatMode").disabled = true;
+    try {
+      const result = await bulkImportChats(projectId);
+      
+      if (result.imported.length > 0) {
+        buildFilters();
+        applyAll();
+        
+        // Select the last imported row
+        activeIndex = filteredRows.indexOf(result.imported[result.imported.length - 1]);
+        if (activeIndex === -1) activeIndex = null;
+        renderRowList(filteredRows);
+        if (activeIndex !== null) renderChat(filteredRows[activeIndex]);
+        
+        downloadBtn.disabled = false;
+      }
+      
+      selectedBulkChats.clear();
+      renderBulkChatList();
+      renderBulkImportSummary(result);
+    } catch (error) {
+      el("addChatStatus").textContent = `Error importing chats: ${error.message}`;
+    } finally {
+      el("addChatMode").disabled = false;
+      updateAddChatButton();
+    }
+    return;
+  }
+  
   try {
     const data = await fetchChatExchanges(projectId, chatId);
     
@@ -1165,7 +5523,7 @@ addChatForm.addEventListener("submit", async (e) => {
     const newRow = exchangesToRow(data.exchanges || [], envConfig.location, envConfig.userEmail, projectId, chatId, projectName);
     
     // Add to allRows
-    allRows.push(newRow);
+    recordAction(`Add chat ${getRowTitle(newRow)}`, () => insertRow(newRow));
     
     // Refresh filters and row list
     buildFilters();
@@ -1195,8 +5553,339 @@ addChatForm.addEventListener("submit", async (e) => {
   }
 });
 
-// --- Download button ---
-downloadBtn.addEventListener("click", downloadExcel);
+// --- Download button ---
+downloadBtn.addEventListener("click", downloadExcel);
+exportJsonlBtn.addEventListener("click", exportJsonl);
+exportCsvBtn.addEventListener("click", openDelimitedExportDialog);
+exportReportBtn.addEventListener("click", openReportDialog);
+
+// --- Find duplicates button ---
+findDuplicatesBtn.addEventListener("click", openDuplicatesDialog);
+
+// --- Sheet sync baseline ---
+// What each Google Sheet tab held after our last pull or push, keyed by
+// "spreadsheetId/sheetName". Pushes send only the difference from it.
+let syncBaselines = {};
+
+function syncBaselineKey(id, sheet) {
+  return `${id}/${sheet}`;
+}
+
+function formatSyncValue(value, isDate) {
+  if (value === undefined || value === null) return "";
+  if (isDate && value !== "") {
+    const excelDate = convertToExcelDate(value);
+    if (typeof excelDate === 'number') {
+      // Convert Excel serial to readable date
+      const excelEpoch = new Date(1899, 11, 30);
+      const date = new Date(excelEpoch.getTime() + excelDate * 24 * 60 * 60 * 1000);
+      if (date.getFullYear() >= 1900 && date.getFullYear() <= 2100) {
+        return date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+      }
+    }
+  }
+  return String(value);
+}
+
+// Columns that identify a sheet row: Id, plus the turn column for one-row-per-exchange layouts
+function syncKeyColumns(schema = sheetSchema) {
+  if (!schema) return ["Id"];
+  const keys = [schema.columnMap.Id || "Id"];
+  if (schema.profile.layout === "long" && schema.profile.turn) keys.push(schema.profile.turn);
+  return keys;
+}
+
+// The current sheet as it would be written: { columns, keyColumns, records: { key: { col: text } }, order }
+// Keys repeat the Apps Script's: JSON of the key cells plus an occurrence count for duplicates.
+function buildSyncTable(rows = allRows, headers = sheetHeaders, schema = sheetSchema) {
+  // Written back in the sheet's own layout when it was loaded through a schema profile
+  const table = denormalizeRows(rows, headers, schema);
+  const keyColumns = syncKeyColumns(schema);
+  const records = {};
+  const order = [];
+  const seen = {};
+  table.rows.forEach(row => {
+    const cells = {};
+    table.columns.forEach(col => { cells[col] = formatSyncValue(row[col], col === table.dateColumn); });
+    const base = JSON.stringify(keyColumns.map(col => cells[col] ?? ""));
+    seen[base] = (seen[base] || 0) + 1;
+    const key = `${base}#${seen[base]}`;
+    records[key] = cells;
+    order.push(key);
+  });
+  return { columns: table.columns, keyColumns, records, order };
+}
+
+// Rows and cells that differ from the baseline. Without one every row is sent and nothing is deleted.
+// Rows added since the baseline are inserts: the script appends them even when
+// another reviewer has used their Id meanwhile, rather than overwriting that row.
+function diffSyncTable(table, baseline) {
+  const upserts = [];
+  let added = 0;
+  table.order.forEach(key => {
+    const cells = table.records[key];
+    const before = baseline?.records[key];
+    if (!before) {
+      if (baseline) {
+        added++;
+        upserts.push({ key, insert: true, cells });
+      } else {
+        upserts.push({ key, cells });
+      }
+      return;
+    }
+    const changed = {};
+    table.columns.forEach(col => {
+      if (cells[col] !== (before[col] ?? "")) changed[col] = cells[col];
+    });
+    if (Object.keys(changed).length > 0) upserts.push({ key, cells: changed });
+  });
+  const deletes = baseline ? Object.keys(baseline.records).filter(key => !table.records[key]) : [];
+  const cells = upserts.reduce((sum, u) => sum + Object.keys(u.cells).length, 0);
+  return { upserts, deletes, added, cells };
+}
+
+// FNV-1a hash of a list of strings, as hex. The Apps Script template has the same function.
+function syncChecksum(parts) {
+  const text = parts.join("\u0000");
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, "0");
+}
+
+// Give rows the Ids the script assigned when theirs had been taken in the sheet.
+// renumbered is [{ key, id }]; a key's "#n" is the nth local row with its Id.
+// Returns the number of rows renumbered.
+function renumberPushedRows(renumbered) {
+  const targets = [];
+  renumbered.forEach(({ key, id }) => {
+    const hash = key.lastIndexOf("#");
+    const oldId = JSON.parse(key.slice(0, hash))[0];
+    const row = allRows.filter(r => formatSyncValue(r.Id) === oldId)[parseInt(key.slice(hash + 1)) - 1];
+    // A long-layout row has one key per turn
+    if (row && !targets.some(t => t.row === row)) targets.push({ row, id: /^\d+$/.test(id) ? Number(id) : id });
+  });
+  if (targets.length === 0) return 0;
+  recordAction(`Renumber ${targets.length} pushed row(s)`, () => {
+    targets.forEach(({ row, id }) => setCell(row, "Id", id));
+  });
+  targets.forEach(({ id }) => { if (typeof id === "number") nextId = Math.max(nextId, id + 1); });
+  refreshAfterDataChange();
+  return targets.length;
+}
+
+function setSyncBaseline(id, sheet, table) {
+  syncBaselines[syncBaselineKey(id, sheet)] = {
+    columns: table.columns,
+    keyColumns: table.keyColumns,
+    records: table.records
+  };
+  scheduleAutosave();
+}
+
+// setSyncBaseline as an undoable change, for pulls: undoing one brings back the
+// rows and also the baseline they were last synced against, so the next push does
+// not read the rows other reviewers added as local deletions
+function recordSyncBaseline(id, sheet, table) {
+  const key = syncBaselineKey(id, sheet);
+  const before = syncBaselines[key];
+  setSyncBaseline(id, sheet, table);
+  const after = syncBaselines[key];
+  const restore = (baseline) => {
+    if (baseline) syncBaselines[key] = baseline;
+    else delete syncBaselines[key];
+    scheduleAutosave();
+  };
+  recordChange({
+    undo: () => restore(before),
+    redo: () => restore(after)
+  });
+}
+
+// --- Pull merge ---
+// Three-way merge of a pulled sheet with local edits. All three sides are
+// buildSyncTable() tables: base is the sheet as last pulled or pushed (or as
+// loaded), so a cell changed on one side only takes that side's value.
+function mergeSyncTables(base, local, remote) {
+  const columns = [...remote.columns];
+  local.columns.forEach(col => { if (!columns.includes(col)) columns.push(col); });
+  const baseRecords = base?.records || {};
+  const records = {};
+  const conflicts = [];
+  const rowConflicts = [];
+  const stats = { remoteCells: 0, localCells: 0, added: 0, removed: 0 };
+
+  const rowChanged = (before, after) => columns.some(col => (before?.[col] ?? "") !== (after?.[col] ?? ""));
+
+  // Local order first, rows only the remote has at the end
+  const order = [...local.order];
+  remote.order.forEach(key => { if (!local.records[key]) order.push(key); });
+
+  order.forEach(key => {
+    const b = baseRecords[key];
+    const l = local.records[key];
+    const r = remote.records[key];
+    if (l && r) {
+      const merged = {};
+      columns.forEach(col => {
+        const lv = l[col] ?? "";
+        const rv = r[col] ?? "";
+        const bv = b?.[col] ?? "";
+        if (lv === rv || rv === bv) {
+          merged[col] = lv;
+          if (lv !== bv && lv !== rv) stats.localCells++;
+        } else if (lv === bv) {
+          merged[col] = rv;
+          stats.remoteCells++;
+        } else {
+          merged[col] = lv;
+          conflicts.push({ key, column: col, local: lv, remote: rv, base: bv });
+        }
+      });
+      records[key] = merged;
+    } else if (l) {
+      // Gone remotely: a row added here stays, an untouched one follows the deletion
+      records[key] = { ...l };
+      if (!b) return;
+      if (rowChanged(b, l)) rowConflicts.push({ key, kind: "deletedRemotely", local: l });
+      else { delete records[key]; stats.removed++; }
+    } else if (r) {
+      // Gone locally: a new remote row comes in, an untouched one stays deleted
+      if (b && !rowChanged(b, r)) return;
+      records[key] = { ...r };
+      if (b) rowConflicts.push({ key, kind: "deletedLocally", remote: r });
+      else stats.added++;
+    }
+  });
+
+  // Rows that followed a deletion on either side drop out of the order too
+  return { columns, keyColumns: remote.keyColumns, order: order.filter(key => records[key]), records, conflicts, rowConflicts, stats };
+}
+
+function syncKeyLabel(key, keyColumns) {
+  const values = JSON.parse(key.slice(0, key.lastIndexOf("#")));
+  return keyColumns.map((col, i) => `${col} ${values[i] === "" ? "(blank)" : values[i]}`).join(", ");
+}
+
+function mergeChoice(name, value, labelText, preview, checked) {
+  const label = document.createElement("label");
+  label.className = "merge-choice";
+  const radio = document.createElement("input");
+  radio.type = "radio";
+  radio.name = name;
+  radio.value = value;
+  radio.checked = checked;
+  label.appendChild(radio);
+  const text = document.createElement("span");
+  text.textContent = labelText;
+  label.appendChild(text);
+  if (preview !== null) {
+    const pre = document.createElement("div");
+    pre.className = "merge-value";
+    pre.textContent = preview === "" ? "(empty)" : preview;
+    label.appendChild(pre);
+  }
+  return label;
+}
+
+// Let the user settle every conflict. Resolves true once `merge` holds the
+// chosen values, false when the pull is cancelled.
+async function openMergeDialog(merge, sheet) {
+  const content = document.createElement("div");
+  content.className = "merge-conflicts";
+  const resolvers = [];
+
+  const bulk = document.createElement("div");
+  bulk.className = "merge-bulk";
+  [["Keep all local", "local"], ["Take all remote", "remote"]].forEach(([text, side]) => {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "btn secondary btn-small";
+    btn.textContent = text;
+    btn.addEventListener("click", () => {
+      content.querySelectorAll(`input[type="radio"][value="${side}"]`).forEach(radio => { radio.checked = true; });
+    });
+    bulk.appendChild(btn);
+  });
+  content.appendChild(bulk);
+
+  merge.conflicts.forEach((conflict, i) => {
+    const block = document.createElement("div");
+    block.className = "merge-conflict";
+    const title = document.createElement("div");
+    title.className = "merge-title";
+    title.textContent = `${syncKeyLabel(conflict.key, merge.keyColumns)} · ${conflict.column}`;
+    block.appendChild(title);
+
+    const name = `mergeCell${i}`;
+    block.appendChild(mergeChoice(name, "local", "Local", conflict.local, true));
+    block.appendChild(mergeChoice(name, "remote", "Remote", conflict.remote, false));
+    const editChoice = mergeChoice(name, "edit", "Edited value", null, false);
+    const editor = document.createElement("textarea");
+    editor.value = conflict.local;
+    editor.rows = 2;
+    editor.addEventListener("focus", () => { editChoice.querySelector("input").checked = true; });
+    editChoice.appendChild(editor);
+    block.appendChild(editChoice);
+    content.appendChild(block);
+
+    resolvers.push(() => {
+      const side = block.querySelector(`input[name="${name}"]:checked`).value;
+      merge.records[conflict.key][conflict.column] = side === "edit" ? editor.value : conflict[side];
+    });
+  });
+
+  merge.rowConflicts.forEach((conflict, i) => {
+    const block = document.createElement("div");
+    block.className = "merge-conflict";
+    const title = document.createElement("div");
+    title.className = "merge-title";
+    title.textContent = conflict.kind === "deletedRemotely"
+      ? `${syncKeyLabel(conflict.key, merge.keyColumns)} was deleted in the sheet but edited here`
+      : `${syncKeyLabel(conflict.key, merge.keyColumns)} was deleted here but edited in the sheet`;
+    block.appendChild(title);
+
+    const name = `mergeRow${i}`;
+    const keepSide = conflict.kind === "deletedRemotely" ? "local" : "remote";
+    block.appendChild(mergeChoice(name, keepSide, "Keep the row", null, true));
+    block.appendChild(mergeChoice(name, keepSide === "local" ? "remote" : "local", "Delete the row", null, false));
+    content.appendChild(block);
+
+    resolvers.push(() => {
+      const side = block.querySelector(`input[name="${name}"]:checked`).value;
+      if (side !== keepSide) {
+        delete merge.records[conflict.key];
+        merge.order = merge.order.filter(key => key !== conflict.key);
+      }
+    });
+  });
+
+  const total = merge.conflicts.length + merge.rowConflicts.length;
+  const choice = await showDialog({
+    title: `Merge "${sheet}"`,
+    message: `${total} change(s) were made both here and in the sheet since the last pull or push. Choose what to keep; nothing is overwritten until you apply.`,
+    content,
+    buttons: [
+      { label: "Cancel pull", value: null },
+      { label: "Apply merge", value: "apply", primary: true }
+    ]
+  });
+  if (choice !== "apply") return false;
+  resolvers.forEach(resolve => resolve());
+  return true;
+}
+
+function mergedWorksheet(merge) {
+  const jsonData = merge.order.map(key => {
+    const obj = {};
+    merge.columns.forEach(col => { obj[col] = merge.records[key][col] ?? ""; });
+    return obj;
+  });
+  return XLSX.utils.json_to_sheet(jsonData, { header: merge.columns });
+}
 
 // --- Google Sheets Sync functionality ---
 function loadSyncSettings() {
@@ -1204,11 +5893,17 @@ function loadSyncSettings() {
   const savedSheetName = localStorage.getItem('sheetName');
   const savedApiKey = localStorage.getItem('syncApiKey');
   const savedScriptUrl = localStorage.getItem('scriptUrl');
+  const savedPullRange = localStorage.getItem('pullRange');
+  const savedPullMode = localStorage.getItem('pullMode');
   
   if (savedSpreadsheetId) spreadsheetId.value = savedSpreadsheetId;
   if (savedSheetName) sheetName.value = savedSheetName;
   if (savedApiKey) syncApiKey.value = savedApiKey;
   if (savedScriptUrl) scriptUrl.value = savedScriptUrl;
+  if (savedPullRange) pullRange.value = savedPullRange;
+  if (savedPullMode) pullMode.value = savedPullMode;
+  // The script token is kept only in the form; clear one an earlier version saved
+  localStorage.removeItem('scriptToken');
   
   updateSyncButtons();
 }
@@ -1218,18 +5913,22 @@ function saveSyncSettings() {
   if (sheetName.value) localStorage.setItem('sheetName', sheetName.value);
   if (syncApiKey.value) localStorage.setItem('syncApiKey', syncApiKey.value);
   if (scriptUrl.value) localStorage.setItem('scriptUrl', scriptUrl.value);
+  // An empty range means the whole tab, so clearing it has to stick
+  if (pullRange.value.trim()) localStorage.setItem('pullRange', pullRange.value.trim());
+  else localStorage.removeItem('pullRange');
+  localStorage.setItem('pullMode', pullMode.value);
 }
 
 function updateSyncButtons() {
   const hasSpreadsheetId = spreadsheetId.value.trim() !== "";
-  const hasApiKey = syncApiKey.value.trim() !== "";
   const hasScriptUrl = scriptUrl.value.trim() !== "";
+  const hasScriptToken = scriptToken.value.trim() !== "";
   
-  // Pull requires API key
-  pullBtn.disabled = !hasSpreadsheetId || !hasApiKey;
+  // Pull requires an API key, or the Apps Script URL and token for private sheets
+  pullBtn.disabled = !hasSpreadsheetId || !pullSource();
   
-  // Push requires script URL and data
-  pushBtn.disabled = !hasSpreadsheetId || !hasScriptUrl || allRows.length === 0;
+  // Push requires script URL, token and data
+  pushBtn.disabled = !hasSpreadsheetId || !hasScriptUrl || !hasScriptToken || allRows.length === 0;
 }
 
 spreadsheetId.addEventListener("input", () => {
@@ -1238,6 +5937,7 @@ spreadsheetId.addEventListener("input", () => {
 });
 
 sheetName.addEventListener("input", saveSyncSettings);
+pullRange.addEventListener("input", saveSyncSettings);
 syncApiKey.addEventListener("input", () => {
   saveSyncSettings();
   updateSyncButtons();
@@ -1246,12 +5946,306 @@ scriptUrl.addEventListener("input", () => {
   saveSyncSettings();
   updateSyncButtons();
 });
+scriptToken.addEventListener("input", updateSyncButtons);
+pullMode.addEventListener("change", () => {
+  saveSyncSettings();
+  updateSyncButtons();
+  spreadsheetTabs = null;
+  renderTabList();
+});
+
+// Apps Script web app URL, ending with /exec for proper Apps Script handling
+function scriptExecUrl() {
+  let url = scriptUrl.value.trim();
+  if (url && !url.endsWith('/exec') && !url.endsWith('/dev')) {
+    url = url.replace(/\/$/, '') + '/exec';
+  }
+  return url;
+}
+
+// Where pulls read from: the Sheets API with an API key (the sheet must be shared
+// by link), or the Apps Script, which reads as its owner so the sheet can stay private.
+// Null when the chosen mode is not configured.
+function pullSource() {
+  if (pullMode.value === "script") {
+    const url = scriptExecUrl();
+    const token = scriptToken.value.trim();
+    return url && token ? { mode: "script", url, token } : null;
+  }
+  const apiKey = syncApiKey.value.trim();
+  return apiKey ? { mode: "api", apiKey } : null;
+}
+
+const SHEETS_API = "https://sheets.googleapis.com/v4/spreadsheets";
+let spreadsheetTabs = null; // [{ title, hidden, merges }] of the listed spreadsheet
+
+// GET from the Sheets API v4 using the API key
+async function sheetsApiGet(url) {
+  const response = await fetch(url);
+  const data = await response.json();
+  
+  if (!response.ok) {
+    if (data.error?.message) {
+      if (data.error.message.includes('API key') || data.error.message.includes('authentication')) {
+        throw new Error(`Authentication failed: ${data.error.message}. Make sure your sheet is shared publicly (Anyone with the link can view), or pull through the Apps Script for a private sheet.`);
+      }
+      throw new Error(data.error.message);
+    }
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  return data;
+}
+
+// POST a pull request to the Apps Script. The token goes in the body rather than
+// the URL, and a text/plain body lets the browser send it without a CORS preflight.
+async function scriptRead(source, request) {
+  let data;
+  try {
+    const response = await fetch(source.url, {
+      method: "POST",
+      headers: { "Content-Type": "text/plain;charset=utf-8" },
+      body: JSON.stringify({ ...request, token: source.token })
+    });
+    data = await response.json();
+  } catch (error) {
+    console.error("Apps Script pull failed:", error);
+    throw new Error("Could not read the Apps Script's reply. Check the URL, that it is deployed with the latest template and that \"Who has access\" is \"Anyone\".");
+  }
+  if (!data || data.success === false) {
+    throw new Error(data?.message || data?.error || "The Apps Script could not read the sheet");
+  }
+  if (!data.sheets && !data.valueRanges) {
+    throw new Error("The Apps Script does not support pulling yet. Update it to the latest template and redeploy.");
+  }
+  return data;
+}
+
+// The spreadsheet's tabs in order, with their merged cell ranges
+async function fetchSpreadsheetTabs(id, source) {
+  if (source.mode === "script") {
+    const data = await scriptRead(source, { action: "tabs", spreadsheetId: id });
+    return data.sheets;
+  }
+  const fields = "sheets(properties(title,index,hidden),merges)";
+  const data = await sheetsApiGet(`${SHEETS_API}/${encodeURIComponent(id)}?key=${encodeURIComponent(source.apiKey)}&fields=${encodeURIComponent(fields)}`);
+  return (data.sheets || [])
+    .sort((a, b) => a.properties.index - b.properties.index)
+    .map(s => ({ title: s.properties.title, hidden: !!s.properties.hidden, merges: s.merges || [] }));
+}
+
+// A1 notation for a tab, optionally narrowed to a range. Quoting keeps spaces,
+// "!" and other punctuation in tab names from being read as part of the range.
+function sheetRangeA1(tab, range = "") {
+  const quoted = `'${tab.replace(/'/g, "''")}'`;
+  return range ? `${quoted}!${range}` : quoted;
+}
+
+// Zero-based row and column where an A1 range such as "'Tab'!B2:F9" starts
+function rangeStart(a1) {
+  const cell = (a1 || "").slice(a1.lastIndexOf("!") + 1).split(":")[0];
+  const match = cell.match(/^([A-Za-z]*)(\d*)$/);
+  return {
+    row: match && match[2] ? parseInt(match[2]) - 1 : 0,
+    column: match && match[1] ? XLSX.utils.decode_col(match[1].toUpperCase()) : 0
+  };
+}
+
+// Values of several tabs in one request: [{ values, start }] in the order of `tabs`
+async function fetchTabValues(id, tabs, source, range = "") {
+  let data;
+  if (source.mode === "script") {
+    data = await scriptRead(source, { action: "values", spreadsheetId: id, ranges: tabs.map(tab => sheetRangeA1(tab, range)) });
+  } else {
+    const ranges = tabs.map(tab => `ranges=${encodeURIComponent(sheetRangeA1(tab, range))}`).join("&");
+    data = await sheetsApiGet(`${SHEETS_API}/${encodeURIComponent(id)}/values:batchGet?key=${encodeURIComponent(source.apiKey)}&${ranges}`);
+  }
+  return (data.valueRanges || []).map(valueRange => ({
+    values: valueRange.values || [],
+    start: rangeStart(valueRange.range)
+  }));
+}
+
+async function fetchSheetValues(id, sheet, source, range = "") {
+  const [{ values }] = await fetchTabValues(id, [sheet], source, range);
+  if (values.length === 0) {
+    throw new Error("Sheet is empty or doesn't exist");
+  }
+  return values;
+}
+
+// Column names for a pulled header row. Cells covered by a merged header repeat it
+// with their position ("Turn 1 (2)"), other blanks are named after their column
+// letter, and repeated names are numbered so no column overwrites another.
+function normalizeSheetHeaders(headerRow, width, merges = [], start = { row: 0, column: 0 }) {
+  const headers = [];
+  for (let i = 0; i < width; i++) {
+    let header = stableValue(headerRow[i]).trim();
+    const column = start.column + i;
+    if (!header) {
+      // The Sheets API leaves out start indexes that are 0
+      const merge = merges.find(m =>
+        (m.startRowIndex || 0) <= start.row && start.row < m.endRowIndex &&
+        (m.startColumnIndex || 0) < column && column < m.endColumnIndex &&
+        (m.startColumnIndex || 0) >= start.column);
+      const mergeStart = merge ? merge.startColumnIndex || 0 : 0;
+      header = merge
+        ? `${headers[mergeStart - start.column]} (${column - mergeStart + 1})`
+        : `Column ${XLSX.utils.encode_col(column)}`;
+    }
+    headers.push(header);
+  }
+  const seen = {};
+  return headers.map(header => {
+    seen[header] = (seen[header] || 0) + 1;
+    return seen[header] > 1 ? `${header} (${seen[header]})` : header;
+  });
+}
+
+// Convert Google Sheets format (array of arrays) to a worksheet that loadSheet can use.
+// The API trims trailing blanks, so rows come back ragged: short rows are padded and
+// cells past the header row get a column of their own instead of being dropped.
+function valuesToWorksheet(values, merges = [], start = { row: 0, column: 0 }) {
+  // reduce rather than Math.max(...rows), which runs out of stack on very large tabs
+  const width = values.reduce((max, row) => Math.max(max, row.length), 0);
+  const headers = normalizeSheetHeaders(values[0], width, merges, start);
+  const jsonData = values.slice(1).map(row => {
+    const obj = {};
+    headers.forEach((header, i) => {
+      obj[header] = row[i] ?? "";
+    });
+    return obj;
+  });
+  return XLSX.utils.json_to_sheet(jsonData, { header: headers });
+}
+
+// Merge a pulled tab with the local sheet it replaces (null for none).
+// Resolves with { ws, remoteTable, message }, or null when the merge was cancelled.
+async function mergePulledSheet(baselineKey, tab, ws, profile, local) {
+  const remote = parseWorksheet(ws, profile);
+  const remoteTable = buildSyncTable(remote.rows, remote.headers, remote.schema);
+  if (!local || local.rows.length === 0) {
+    return { ws, remoteTable, message: `${remoteTable.order.length} rows from ${tab}` };
+  }
+
+  // Merge with local edits made since the last pull or push (or since loading)
+  const base = syncBaselines[baselineKey] || local.baseline;
+  const merge = mergeSyncTables(base, buildSyncTable(local.rows, local.headers, local.schema), remoteTable);
+  if (merge.conflicts.length > 0 || merge.rowConflicts.length > 0) {
+    syncStatus.textContent = `Resolve conflicting changes in "${tab}" to finish the pull...`;
+    if (!await openMergeDialog(merge, tab)) return null;
+  }
+  const { remoteCells, localCells, added, removed } = merge.stats;
+  const resolved = merge.conflicts.length + merge.rowConflicts.length;
+  return {
+    ws: mergedWorksheet(merge),
+    remoteTable,
+    message: `Merged ${tab}: ${remoteCells} remote change(s) and ${added} new row(s) applied, ${removed} row(s) removed, ${localCells} local edit(s) kept` +
+      (resolved ? `, ${resolved} conflict(s) resolved` : "")
+  };
+}
+
+function addSheetName(name) {
+  const add = () => {
+    sheetNames = [...sheetNames, name];
+    populateSheetSelect();
+  };
+  const remove = () => {
+    sheetNames = sheetNames.filter(n => n !== name);
+    populateSheetSelect();
+  };
+  add();
+  recordChange({ undo: remove, redo: add });
+}
+
+// Rows shown without a sheet (added through the API or imported into an empty
+// viewer) get a sheet of their own before pulled tabs join the selector, so
+// switching to a pulled sheet keeps them. Inside the pull's recordAction.
+function nameLooseRows(taken) {
+  if (currentSheet !== null || allRows.length === 0) return;
+  let name = "Local rows";
+  for (let n = 2; sheetNames.includes(name) || taken.includes(name); n++) name = `Local rows ${n}`;
+  const set = () => { currentSheet = name; };
+  const unset = () => { currentSheet = null; };
+  set();
+  recordChange({ undo: unset, redo: set });
+  addSheetName(name);
+}
+
+// Load one pulled tab (inside the pull's recordAction). The current sheet is
+// replaced in place; other tabs replace their sheet in the workbook and are
+// parsed again when opened.
+function applyPulledSheet({ tab, intoCurrent, profile, ws }) {
+  if (intoCurrent) {
+    replaceDataset(() => {
+      if (currentSheet === null && sheetNames.includes(tab)) currentSheet = tab;
+      loadSheet({ SheetNames: [tab], Sheets: { [tab]: ws } }, tab, profile, true);
+    });
+    return;
+  }
+  if (!sourceWorkbook) sourceWorkbook = { SheetNames: sheetNames, Sheets: {} };
+  if (!sheetNames.includes(tab)) addSheetName(tab);
+  setCell(sourceWorkbook.Sheets, tab, ws);
+  setCell(pendingSchemas, tab, profile || null);
+  setCell(sheetStates, tab, undefined);
+}
+
+function selectedPullTabs() {
+  return Array.from(tabList.querySelectorAll("input[type=checkbox]:checked")).map(cb => cb.value);
+}
+
+function renderTabList() {
+  tabList.innerHTML = "";
+  (spreadsheetTabs || []).forEach(tab => {
+    const label = document.createElement("label");
+    label.className = "tab-option";
+    const cb = document.createElement("input");
+    cb.type = "checkbox";
+    cb.value = tab.title;
+    label.appendChild(cb);
+    label.appendChild(document.createTextNode(tab.hidden ? ` ${tab.title} (hidden)` : ` ${tab.title}`));
+    tabList.appendChild(label);
+  });
+  tabList.style.display = spreadsheetTabs?.length ? "block" : "none";
+}
+
+listTabsBtn.addEventListener("click", async () => {
+  const id = spreadsheetId.value.trim();
+  const source = pullSource();
+  if (!id || !source) {
+    syncStatus.textContent = pullMode.value === "script"
+      ? "Please enter Spreadsheet ID, Apps Script URL and Script Token"
+      : "Please enter Spreadsheet ID and API Key";
+    syncStatus.style.color = "var(--muted)";
+    return;
+  }
+  listTabsBtn.disabled = true;
+  try {
+    spreadsheetTabs = await fetchSpreadsheetTabs(id, source);
+    renderTabList();
+    syncStatus.textContent = `${spreadsheetTabs.length} tab(s) found. Tick the ones to pull.`;
+    syncStatus.style.color = "var(--muted)";
+  } catch (error) {
+    syncStatus.textContent = `Error: ${error.message}`;
+    syncStatus.style.color = "#ef4444";
+    console.error("List tabs error:", error);
+  } finally {
+    listTabsBtn.disabled = false;
+  }
+});
+
+// Tabs belong to one spreadsheet
+spreadsheetId.addEventListener("input", () => {
+  spreadsheetTabs = null;
+  renderTabList();
+});
 
 // Pull data from Google Sheets
 pullBtn.addEventListener("click", async () => {
   const id = spreadsheetId.value.trim();
   const sheet = sheetName.value.trim() || "Sheet1";
-  const apiKey = syncApiKey.value.trim();
+  const source = pullSource();
+  const range = pullRange.value.trim();
+  const tabs = selectedPullTabs();
   
   if (!id) {
     syncStatus.textContent = "Please enter Spreadsheet ID";
@@ -1259,8 +6253,8 @@ pullBtn.addEventListener("click", async () => {
     return;
   }
   
-  if (!apiKey) {
-    syncStatus.textContent = "Please enter API Key";
+  if (!source) {
+    syncStatus.textContent = pullMode.value === "script" ? "Please enter Apps Script URL and Script Token" : "Please enter API Key";
     syncStatus.style.color = "var(--muted)";
     return;
   }
@@ -1271,52 +6265,86 @@ pullBtn.addEventListener("click", async () => {
   syncStatus.style.color = "var(--muted)";
   
   try {
-    // Google Sheets API v4 - get all values from the sheet using API key
-    const url = `https://sheets.googleapis.com/v4/spreadsheets/${id}/values/${sheet}?key=${apiKey}`;
-    
-    const response = await fetch(url);
-    const data = await response.json();
+    // Each tab goes to the sheet of the same name, merged with its local edits,
+    // or into a new sheet of its own; never into an unrelated sheet
+    const pullTabs = tabs.length > 0 ? tabs : [sheet];
+    const results = await fetchTabValues(id, pullTabs, source, range);
+    const pulled = [];
+    const skipped = [];
     
-    if (!response.ok) {
-      if (data.error?.message) {
-        if (data.error.message.includes('API key') || data.error.message.includes('authentication')) {
-          throw new Error(`Authentication failed: ${data.error.message}. Make sure your sheet is shared publicly (Anyone with the link can view).`);
-        }
-        throw new Error(data.error.message);
+    for (let i = 0; i < pullTabs.length; i++) {
+      const tab = pullTabs[i];
+      const { values, start } = results[i] || { values: [] };
+      if (values.length === 0) {
+        if (tabs.length === 0) throw new Error("Sheet is empty or doesn't exist");
+        skipped.push(`${tab} (empty)`);
+        continue;
       }
-      throw new Error(`HTTP error! status: ${response.status}`);
+      
+      // Merged header cells are only known from the spreadsheet metadata
+      let merges = spreadsheetTabs?.find(t => t.title === tab)?.merges || [];
+      if (!spreadsheetTabs && values[0].some(cell => stableValue(cell).trim() === "")) {
+        spreadsheetTabs = await fetchSpreadsheetTabs(id, source);
+        renderTabList();
+        merges = spreadsheetTabs.find(t => t.title === tab)?.merges || [];
+      }
+      const ws = valuesToWorksheet(values, merges, start);
+      
+      // An empty viewer takes the first tab as its current sheet
+      const intoCurrent = tab === currentSheet || (currentSheet === null && pulled.length === 0 && allRows.length === 0);
+      let local = null;
+      let profile;
+      if (intoCurrent) {
+        local = { rows: allRows, headers: sheetHeaders, schema: sheetSchema, baseline: sheetBaseline };
+        profile = sheetSchema?.profile;
+      } else if (sheetStates[tab]) {
+        local = sheetStates[tab];
+        profile = local.schema?.profile;
+      } else {
+        profile = tab in pendingSchemas ? pendingSchemas[tab] : await chooseSchemaForSheet({ SheetNames: [tab], Sheets: { [tab]: ws } }, tab);
+      }
+      
+      // A partial range gets its own baseline so it never stands in for the whole tab on push
+      const baselineSheet = range ? `${tab}!${range}` : tab;
+      const result = await mergePulledSheet(syncBaselineKey(id, baselineSheet), tab, ws, profile, local);
+      if (!result) {
+        skipped.push(`${tab} (merge cancelled)`);
+        continue;
+      }
+      pulled.push({ tab, intoCurrent, profile, baselineSheet, ...result });
     }
     
-    if (!data.values || data.values.length === 0) {
-      throw new Error("Sheet is empty or doesn't exist");
+    if (pulled.length === 0) {
+      syncStatus.textContent = `Pull cancelled; nothing was changed${skipped.length ? ` (${skipped.join(", ")})` : ""}`;
+      syncStatus.style.color = "var(--muted)";
+      return;
     }
     
-    // Convert Google Sheets format (array of arrays) to Excel format
-    const headers_row = data.values[0];
-    const rows = data.values.slice(1);
-    
-    // Convert to Excel workbook format
-    const jsonData = rows.map(row => {
-      const obj = {};
-      headers_row.forEach((header, i) => {
-        obj[header] = row[i] || "";
+    // Load the sheets (undoable, so a pull never destroys unsaved edits for good)
+    const label = pulled.length === 1 ? `Pull "${pulled[0].tab}" from Google Sheets` : `Pull ${pulled.length} tabs from Google Sheets`;
+    recordAction(label, () => {
+      if (pulled.some(p => !p.intoCurrent)) nameLooseRows(pulled.map(p => p.tab));
+      pulled.forEach(p => {
+        // A tab pulled into an empty viewer shows up in the sheet selector too
+        if (p.intoCurrent && !sheetNames.includes(p.tab)) addSheetName(p.tab);
+        applyPulledSheet(p);
       });
-      return obj;
+      // A single tab pulled into another sheet is shown
+      if (tabs.length === 0 && !pulled[0].intoCurrent) {
+        const previous = currentSheet;
+        const next = pulled[0].tab;
+        showSheet(next);
+        recordChange({
+          undo: () => showSheet(previous),
+          redo: () => showSheet(next)
+        });
+      }
+      // The sheets now hold the remote values; local edits kept by the merge are still to be pushed
+      pulled.forEach(p => recordSyncBaseline(id, p.baselineSheet, p.remoteTable));
     });
     
-    // Create a workbook-like structure
-    const wb = {
-      SheetNames: [sheet],
-      Sheets: {}
-    };
-    
-    // Convert to worksheet format that loadSheet can use
-    const ws = XLSX.utils.json_to_sheet(jsonData);
-    wb.Sheets[sheet] = ws;
-    
-    // Load the sheet
-    loadSheet(wb, sheet);
-    syncStatus.textContent = `Successfully pulled ${jsonData.length} rows from ${sheet}`;
+    syncStatus.textContent = `Successfully pulled: ${pulled.map(p => p.message).join("; ")}` +
+      (skipped.length ? `. Skipped ${skipped.join(", ")}` : "");
     syncStatus.style.color = "var(--accent)";
   } catch (error) {
     syncStatus.textContent = `Error: ${error.message}`;
@@ -1329,10 +6357,331 @@ pullBtn.addEventListener("click", async () => {
   }
 });
 
+// Wait this long for the Apps Script to acknowledge a push before checking the sheet itself
+const PUSH_ACK_TIMEOUT = 30000;
+// Without one the sheet is read back until it shows the push. The request that writes
+// it may wait 30s for the script lock and then write every row, so the checks go on
+// until Apps Script's 6-minute execution limit has surely passed since it was sent.
+const PUSH_COMMIT_TIMEOUT = 390000;
+// Wait before the second read-back; each later wait doubles, up to a minute
+const PUSH_READ_BACK_DELAY = 5000;
+const PUSH_READ_BACK_MAX_DELAY = 60000;
+
+// Post `payload` as form field `field` to the Apps Script web app. Resolves with the
+// script's acknowledgement ({ success, requestId, checksum, ... }), or null when none
+// arrived within `timeout` (an older script, or a browser that blocks it); rejects when
+// the script reports a failure.
+function postToScript(scriptUrl, field, payload, timeout = PUSH_ACK_TIMEOUT) {
+  return new Promise((resolve, reject) => {
+    // Create a hidden form
+    const form = document.createElement('form');
+    form.method = 'POST';
+    form.action = scriptUrl;
+    form.target = 'pushFrame_' + Date.now();
+    form.style.display = 'none';
+    
+    // Create hidden iframe to receive response
+    const iframeName = form.target;
+    const iframe = document.createElement('iframe');
+    iframe.name = iframeName;
+    iframe.style.display = 'none';
+    
+    let settled = false;
+    let timer = null;
+    
+    const finish = (error, ack) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      window.removeEventListener('message', onMessage);
+      // Cleanup
+      setTimeout(() => {
+        if (form.parentNode) document.body.removeChild(form);
+        if (iframe.parentNode) document.body.removeChild(iframe);
+      }, 1000);
+      if (error) reject(error);
+      else resolve(ack);
+    };
+    
+    const handleAck = (data) => {
+      if (!data || data.requestId !== payload.requestId) return;
+      if (data.success === false) {
+        const error = new Error(data.error || data.message || 'Push failed');
+        error.missing = data.missing; // chunks the script never received
+        finish(error);
+      } else {
+        finish(null, data);
+      }
+    };
+    
+    // The updated Apps Script posts its result back to this page
+    const onMessage = (event) => {
+      if (event.data?.source === 'chatViewerPush') handleAck(event.data);
+    };
+    window.addEventListener('message', onMessage);
+    
+    iframe.onload = () => {
+      try {
+        // Readable only when served from the same origin; otherwise wait for the message
+        const iframeDoc = iframe.contentDocument || iframe.contentWindow.document;
+        const responseText = iframeDoc.body?.textContent || '';
+        console.log("Iframe response:", responseText);
+        handleAck(JSON.parse(responseText));
+      } catch (e) {
+        // Cross-origin or not JSON: the acknowledgement has to come through postMessage
+      }
+    };
+    
+    // Add data as hidden input
+    // Note: Form encoding happens automatically, don't double-encode
+    const input = document.createElement('input');
+    input.type = 'hidden';
+    input.name = field;
+    input.value = JSON.stringify(payload);
+    form.appendChild(input);
+    
+    // Set form encoding explicitly
+    form.enctype = 'application/x-www-form-urlencoded';
+    
+    // Append to body and submit
+    document.body.appendChild(iframe);
+    document.body.appendChild(form);
+    form.submit();
+    
+    // No acknowledgement is not a success: the caller has to verify some other way
+    timer = setTimeout(() => {
+      console.warn("No push acknowledgement from the Apps Script");
+      finish(null, null);
+    }, timeout);
+  });
+}
+
+// Apps Script's CacheService keeps at most 100KB per value, so each chunk stays below that
+const PUSH_CHUNK_BYTES = 90000;
+const PUSH_CHUNK_RETRIES = 3;
+
+function byteLength(text) {
+  return new TextEncoder().encode(text).length;
+}
+
+// Split the changes into chunks of at most PUSH_CHUNK_BYTES once wrapped in `envelope`.
+// A row too large for one chunk is split by cells; the script merges the parts again.
+function chunkSyncChanges(upserts, deletes, envelope) {
+  const limit = PUSH_CHUNK_BYTES - byteLength(JSON.stringify(envelope)) - 200; // room for ids and sequence numbers
+  const chunks = [];
+  let current = { upserts: [], deletes: [] };
+  let size = 0;
+
+  const add = (list, item) => {
+    const itemSize = byteLength(JSON.stringify(item)) + 1;
+    if (size + itemSize > limit && (current.upserts.length > 0 || current.deletes.length > 0)) {
+      chunks.push(current);
+      current = { upserts: [], deletes: [] };
+      size = 0;
+    }
+    current[list].push(item);
+    size += itemSize;
+  };
+
+  upserts.forEach(upsert => {
+    if (byteLength(JSON.stringify(upsert)) <= limit) {
+      add("upserts", upsert);
+      return;
+    }
+    const emptySize = byteLength(JSON.stringify({ key: upsert.key, insert: upsert.insert, cells: {} }));
+    let part = { key: upsert.key, insert: upsert.insert, cells: {} };
+    let partSize = emptySize;
+    Object.entries(upsert.cells).forEach(([col, value]) => {
+      const cellSize = byteLength(JSON.stringify({ [col]: value }));
+      if (partSize + cellSize > limit && Object.keys(part.cells).length > 0) {
+        add("upserts", part);
+        part = { key: upsert.key, insert: upsert.insert, cells: {} };
+        partSize = emptySize;
+      }
+      part.cells[col] = value;
+      partSize += cellSize;
+    });
+    add("upserts", part);
+  });
+  deletes.forEach(key => add("deletes", key));
+  chunks.push(current);
+  return chunks;
+}
+
+// The last push that was not verified: { fingerprint, batchId }. Pushing the same
+// changes again reuses its batch id, so a script that did write them answers with
+// that result instead of writing them a second time.
+let unverifiedPush = null;
+
+function pushBatchId(fingerprint) {
+  if (unverifiedPush?.fingerprint !== fingerprint) {
+    unverifiedPush = { fingerprint, batchId: `batch_${Date.now()}_${Math.random().toString(36).slice(2, 8)}` };
+  }
+  return unverifiedPush.batchId;
+}
+
+// Send the chunks in order, retrying each one. The script stores chunks until the
+// last arrives and only then writes the sheet; it names any chunk it is missing,
+// which is sent again. Resolves with the final acknowledgement, or null if none came.
+async function sendPushChunks(scriptUrl, envelope, chunks, batchId) {
+  const total = chunks.length;
+  const last = total - 1;
+
+  const send = async (seq) => {
+    for (let attempt = 1; ; attempt++) {
+      const retrying = attempt > 1 ? `, attempt ${attempt} of ${PUSH_CHUNK_RETRIES}` : "";
+      if (total > 1) {
+        syncStatus.textContent = `Pushing chunk ${seq + 1} of ${total} (${Math.round((seq / total) * 100)}%)${seq === last ? ", then writing the sheet" : ""}${retrying}...`;
+      } else if (attempt > 1) {
+        syncStatus.textContent = `Retrying push${retrying}...`;
+      }
+      try {
+        const ack = await postToScript(scriptUrl, 'upsert', {
+          ...envelope,
+          ...chunks[seq],
+          requestId: `${batchId}_${seq}_${attempt}`,
+          batchId,
+          seq,
+          total
+        });
+        // Without an acknowledgement the last chunk can still be verified by reading the sheet back
+        if (ack || seq === last) return ack;
+        throw new Error("no acknowledgement from the Apps Script");
+      } catch (error) {
+        if (attempt >= PUSH_CHUNK_RETRIES) {
+          throw new Error(total > 1 ? `Chunk ${seq + 1} of ${total} failed after ${attempt} attempts: ${error.message}` : error.message);
+        }
+        console.warn(`Push chunk ${seq + 1} failed, retrying:`, error);
+        if (error.missing) {
+          for (const missing of error.missing) await send(missing);
+        }
+      }
+    }
+  };
+
+  for (let seq = 0; seq < last; seq++) await send(seq);
+  return send(last);
+}
+
+// Read the sheet back and check that the pushed rows and cells landed.
+// Resolves with a list of problems; empty when everything matches.
+async function verifyPushReadBack(id, sheet, source, table, diff) {
+  const values = await fetchSheetValues(id, sheet, source);
+  const remote = parseWorksheet(valuesToWorksheet(values), sheetSchema?.profile);
+  const remoteTable = buildSyncTable(remote.rows, remote.headers, remote.schema);
+  const problems = [];
+  
+  const found = table.order.filter(key => remoteTable.records[key]).length;
+  if (found !== table.order.length) {
+    problems.push(`${found} of ${table.order.length} rows found in the sheet`);
+  }
+  const lingering = diff.deletes.filter(key => remoteTable.records[key]);
+  if (lingering.length > 0) {
+    problems.push(`${lingering.length} deleted row(s) still in the sheet`);
+  }
+  
+  // Checksum of every pushed cell against the same cells read back
+  const pushed = [];
+  const readBack = [];
+  let firstMismatch = null;
+  diff.upserts.forEach(upsert => {
+    Object.entries(upsert.cells).forEach(([col, value]) => {
+      const remoteValue = remoteTable.records[upsert.key]?.[col] ?? "";
+      pushed.push(value);
+      readBack.push(remoteValue);
+      if (!firstMismatch && remoteValue !== value && remoteTable.records[upsert.key]) {
+        firstMismatch = `${syncKeyLabel(upsert.key, table.keyColumns)} · ${col}`;
+      }
+    });
+  });
+  if (syncChecksum(pushed) !== syncChecksum(readBack)) {
+    problems.push(`pushed values differ from the sheet${firstMismatch ? ` (first at ${firstMismatch})` : ""}`);
+  }
+  return problems;
+}
+
+// Ask before a push deletes rows from the sheet, showing each as it was last synced.
+// Resolves true when the deletions are confirmed.
+async function confirmPushDeletes(sheet, deletes, baseline) {
+  const content = document.createElement("div");
+  content.className = "merge-conflicts";
+  deletes.forEach(key => {
+    const block = document.createElement("div");
+    block.className = "merge-conflict";
+    const title = document.createElement("div");
+    title.className = "merge-title";
+    title.textContent = syncKeyLabel(key, baseline.keyColumns);
+    block.appendChild(title);
+    
+    const record = baseline.records[key] || {};
+    const preview = baseline.columns
+      .filter(col => !baseline.keyColumns.includes(col) && (record[col] ?? "") !== "")
+      .map(col => `${col}: ${record[col].length > 200 ? record[col].slice(0, 200) + "…" : record[col]}`)
+      .join("\n");
+    if (preview) {
+      const value = document.createElement("div");
+      value.className = "merge-value";
+      value.textContent = preview;
+      block.appendChild(value);
+    }
+    content.appendChild(block);
+  });
+  
+  const choice = await showDialog({
+    title: `Delete ${deletes.length} row(s) from "${sheet}"?`,
+    message: "These rows were in the sheet at the last pull or push and have been removed here. Pushing deletes them from the sheet for every reviewer.",
+    content,
+    buttons: [
+      { label: "Cancel push", value: null },
+      { label: `Push and delete ${deletes.length} row(s)`, value: "delete", primary: true }
+    ]
+  });
+  return choice === "delete";
+}
+
+// Read the sheet back until it shows the push, waiting longer between checks, for as
+// long as the unacknowledged write could still be running. Resolves with the problems
+// of the last check; empty once the push is verified.
+async function awaitPushReadBack(id, sheet, source, table, diff) {
+  // The write was sent PUSH_ACK_TIMEOUT ago
+  const deadline = Date.now() + PUSH_COMMIT_TIMEOUT - PUSH_ACK_TIMEOUT;
+  let delay = PUSH_READ_BACK_DELAY;
+  for (;;) {
+    let problems;
+    try {
+      problems = await verifyPushReadBack(id, sheet, source, table, diff);
+    } catch (error) {
+      problems = [`the sheet could not be read back (${error.message})`];
+    }
+    if (problems.length === 0 || Date.now() + delay > deadline) return problems;
+    
+    syncStatus.textContent = `No acknowledgement from the Apps Script and the sheet does not show the push yet; checking again in ${Math.round(delay / 1000)}s...`;
+    await new Promise(resolve => setTimeout(resolve, delay));
+    delay = Math.min(delay * 2, PUSH_READ_BACK_MAX_DELAY);
+  }
+}
+
+function showPushFailure(message) {
+  syncStatus.textContent = `Error: ${message} `;
+  syncStatus.style.color = "#ef4444";
+  syncStatus.style.fontWeight = "";
+  const retryBtn = document.createElement("button");
+  retryBtn.className = "btn secondary btn-small";
+  retryBtn.textContent = "Retry push";
+  retryBtn.addEventListener("click", () => pushBtn.click());
+  syncStatus.appendChild(retryBtn);
+}
+
+// The tab a push writes. Pulls put each tab in the sheet of the same name, so the
+// open sheet goes back to its own tab; only an unnamed sheet uses the Sheet Name field.
+function pushTargetSheet() {
+  return currentSheet ?? (sheetName.value.trim() || "Sheet1");
+}
+
 // Push data to Google Sheets
 pushBtn.addEventListener("click", async () => {
   const id = spreadsheetId.value.trim();
-  const sheet = sheetName.value.trim() || "Sheet1";
+  const sheet = pushTargetSheet();
   const scriptUrlValue = scriptUrl.value.trim();
   
   if (!id) {
@@ -1347,6 +6696,12 @@ pushBtn.addEventListener("click", async () => {
     return;
   }
   
+  if (!scriptToken.value.trim()) {
+    syncStatus.textContent = "Please enter Script Token";
+    syncStatus.style.color = "var(--muted)";
+    return;
+  }
+  
   if (allRows.length === 0) {
     syncStatus.textContent = "No data to push";
     syncStatus.style.color = "var(--muted)";
@@ -1359,234 +6714,101 @@ pushBtn.addEventListener("click", async () => {
   syncStatus.style.color = "var(--muted)";
   
   try {
-    // Get all unique column names from all rows
-    const allColumns = new Set();
-    allRows.forEach(row => {
-      Object.keys(row).forEach(key => allColumns.add(key));
-    });
-    
-    // Ensure standard columns are first
-    const standardCols = ["Id", "Priority", "Project Name", "Project Description", "Date", 
-                           "Location Run", "User Email", "Project Id", "Chat Id", "Note"];
-    const otherCols = Array.from(allColumns).filter(col => !standardCols.includes(col));
-    
-    // Sort Q/R/N/Expected columns properly
-    const qCols = otherCols.filter(c => /^Q\d+$/i.test(c)).sort((a, b) => {
-      const numA = parseInt(a.match(/\d+/)[0]);
-      const numB = parseInt(b.match(/\d+/)[0]);
-      return numA - numB;
-    });
-    const rCols = otherCols.filter(c => /^R\d+$/i.test(c)).sort((a, b) => {
-      const numA = parseInt(a.match(/\d+/)[0]);
-      const numB = parseInt(b.match(/\d+/)[0]);
-      return numA - numB;
-    });
-    const nCols = otherCols.filter(c => /^N\d+$/i.test(c)).sort((a, b) => {
-      const numA = parseInt(a.match(/\d+/)[0]);
-      const numB = parseInt(b.match(/\d+/)[0]);
-      return numA - numB;
-    });
-    const expectedCols = otherCols.filter(c => /^Expected/i.test(c)).sort((a, b) => {
-      if (a === "Expected") return -1;
-      if (b === "Expected") return 1;
-      const numA = parseInt(a.match(/\d+/)?.[0]) || 0;
-      const numB = parseInt(b.match(/\d+/)?.[0]) || 0;
-      return numA - numB;
-    });
+    // Only rows and cells changed since the last pull or push are sent, matched by Id
+    let table = buildSyncTable();
+    const baseline = syncBaselines[syncBaselineKey(id, sheet)];
+    const diff = diffSyncTable(table, baseline);
     
-    // Interleave Q/R/N/Expected columns
-    const maxPairs = Math.max(qCols.length, rCols.length, nCols.length);
-    const interleavedCols = [];
-    for (let i = 0; i < maxPairs; i++) {
-      if (qCols[i]) interleavedCols.push(qCols[i]);
-      if (rCols[i]) interleavedCols.push(rCols[i]);
-      if (nCols[i]) interleavedCols.push(nCols[i]);
-      if (i === 0 && expectedCols.find(c => c === "Expected")) {
-        interleavedCols.push("Expected");
-      } else if (expectedCols.find(c => c === `Expected_${i}`)) {
-        interleavedCols.push(`Expected_${i}`);
-      }
+    if (diff.upserts.length === 0 && diff.deletes.length === 0) {
+      syncStatus.textContent = `Nothing to push: "${sheet}" already has these rows`;
+      syncStatus.style.color = "var(--muted)";
+      return;
     }
     
-    const orderedColumns = [...standardCols, ...interleavedCols];
-    
-    // Convert rows to Google Sheets format (array of arrays)
-    const values = [orderedColumns]; // Header row
-    
-    allRows.forEach(row => {
-      const rowData = orderedColumns.map(col => {
-        const value = row[col] || "";
-        
-        // For Date column, format as readable date string
-        if (col === "Date" && value) {
-          const excelDate = convertToExcelDate(value);
-          if (typeof excelDate === 'number') {
-            // Convert Excel serial to readable date
-            const excelEpoch = new Date(1899, 11, 30);
-            const date = new Date(excelEpoch.getTime() + excelDate * 24 * 60 * 60 * 1000);
-            if (date.getFullYear() >= 1900 && date.getFullYear() <= 2100) {
-              return date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
-            }
-          }
-          return value;
-        }
-        
-        return String(value);
-      });
-      values.push(rowData);
-    });
+    // Rows are only deleted from the shared sheet once the reviewer has seen which
+    if (diff.deletes.length > 0 && !(await confirmPushDeletes(sheet, diff.deletes, baseline))) {
+      syncStatus.textContent = "Push cancelled; nothing was sent";
+      syncStatus.style.color = "var(--muted)";
+      return;
+    }
     
     // Use Google Apps Script web app (no OAuth needed)
-    // Ensure URL ends with /exec for proper Apps Script handling
-    let scriptUrl = scriptUrlValue.trim();
-    if (!scriptUrl.endsWith('/exec') && !scriptUrl.endsWith('/dev')) {
-      scriptUrl = scriptUrl.replace(/\/$/, '') + '/exec';
-    }
+    const scriptUrl = scriptExecUrl();
     
-    syncStatus.textContent = `Pushing ${allRows.length} rows...`;
+    const changed = diff.upserts.length - diff.added;
+    syncStatus.textContent = baseline
+      ? `Pushing ${changed} changed, ${diff.added} new and ${diff.deletes.length} deleted rows...`
+      : `Pushing ${diff.upserts.length} rows (first push to "${sheet}": rows are matched by ${table.keyColumns.join(" + ")}, none are deleted)...`;
     syncStatus.style.color = "var(--muted)";
     
-    const payload = {
+    const envelope = {
       spreadsheetId: id,
       sheetName: sheet,
-      values: values
+      columns: table.columns,
+      keyColumns: table.keyColumns
     };
+    envelope.token = scriptToken.value.trim();
+    // Large pushes exceed Apps Script's request limits, so they go in chunks
+    const chunks = chunkSyncChanges(diff.upserts, diff.deletes, envelope);
+    // Lets the script's acknowledgement prove it received every change intact
+    envelope.checksum = syncChecksum([JSON.stringify({
+      upserts: chunks.flatMap(chunk => chunk.upserts),
+      deletes: chunks.flatMap(chunk => chunk.deletes)
+    })]);
     
     console.log("Pushing to:", scriptUrl);
-    console.log("Payload size:", JSON.stringify(payload).length, "bytes");
+    console.log("Payload size:", JSON.stringify(diff).length, "bytes in", chunks.length, "chunk(s)");
     
     // Google Apps Script doesn't handle CORS preflight (OPTIONS) requests properly
     // even when deployed with "Anyone" access. The fetch API triggers a preflight
     // which fails. So we use form-based submission via hidden iframe, which
     // bypasses CORS entirely because it's a traditional form POST, not an AJAX request.
+    // The field is "upsert" rather than the old "data": a script that still clears
+    // and rewrites the sheet rejects it instead of wiping the sheet.
     console.log("Using iframe form submission (bypasses CORS)");
+    const ack = await sendPushChunks(scriptUrl, envelope, chunks, pushBatchId(syncChecksum([id, sheet, envelope.checksum])));
     
-    try {
-      await new Promise((resolve, reject) => {
-        // Create a hidden form
-        const form = document.createElement('form');
-        form.method = 'POST';
-        form.action = scriptUrl;
-        form.target = 'pushFrame_' + Date.now();
-        form.style.display = 'none';
-        
-        // Create hidden iframe to receive response
-        const iframeName = form.target;
-        const iframe = document.createElement('iframe');
-        iframe.name = iframeName;
-        iframe.style.display = 'none';
-        
-        let resolved = false;
-        
-        iframe.onload = () => {
-          if (resolved) return;
-          resolved = true;
-          
-          setTimeout(() => {
-            try {
-              // Try to read response from iframe (may be blocked by CORS)
-              const iframeDoc = iframe.contentDocument || iframe.contentWindow.document;
-              const responseText = iframeDoc.body?.innerText || iframeDoc.body?.textContent || iframeDoc.body?.innerHTML || '';
-              console.log("Iframe response:", responseText);
-              
-              if (responseText) {
-              let data;
-              try {
-                data = JSON.parse(responseText);
-                if (data.error || (data.success === false)) {
-                  reject(new Error(data.error || data.message || 'Push failed'));
-                  return;
-                }
-                // Show success message immediately
-                syncStatus.textContent = `✓ Successfully pushed ${allRows.length} rows to "${sheet}" in Google Sheets`;
-                syncStatus.style.color = "var(--accent)";
-                syncStatus.style.fontWeight = "500";
-                resolve(data);
-              } catch (e) {
-                // If response contains "success", assume it worked
-                if (responseText.includes('success') || responseText.includes('true')) {
-                  // Show success message immediately
-                  syncStatus.textContent = `✓ Successfully pushed ${allRows.length} rows to "${sheet}" in Google Sheets`;
-                  syncStatus.style.color = "var(--accent)";
-                  syncStatus.style.fontWeight = "500";
-                  resolve({ success: true });
-                } else {
-                  reject(new Error('Could not parse response: ' + responseText.substring(0, 100)));
-                }
-              }
-            } else {
-              // No response text, assume success (CORS blocked reading)
-              console.warn("No iframe response text (CORS blocked), assuming success");
-              // Show success message immediately
-              syncStatus.textContent = `✓ Successfully pushed ${allRows.length} rows to "${sheet}" in Google Sheets`;
-              syncStatus.style.color = "var(--accent)";
-              syncStatus.style.fontWeight = "500";
-              resolve({ success: true });
-            }
-          } catch (e) {
-            // CORS blocked reading iframe content, but form submission likely succeeded
-            console.warn("CORS blocked iframe read, assuming success:", e);
-            // Show success message immediately
-            syncStatus.textContent = `✓ Successfully pushed ${allRows.length} rows to "${sheet}" in Google Sheets`;
-            syncStatus.style.color = "var(--accent)";
-            syncStatus.style.fontWeight = "500";
-            resolve({ success: true });
-            } finally {
-              // Cleanup
-              setTimeout(() => {
-                if (form.parentNode) document.body.removeChild(form);
-                if (iframe.parentNode) document.body.removeChild(iframe);
-              }, 1000);
-            }
-          }, 500); // Small delay to ensure response is loaded
-        };
-        
-        // Add data as hidden input
-        // Note: Form encoding happens automatically, don't double-encode
-        const input = document.createElement('input');
-        input.type = 'hidden';
-        input.name = 'data';
-        input.value = JSON.stringify(payload);
-        form.appendChild(input);
-        
-        // Set form encoding explicitly
-        form.enctype = 'application/x-www-form-urlencoded';
-        
-        // Append to body and submit
-        document.body.appendChild(iframe);
-        document.body.appendChild(form);
-        form.submit();
-        
-        // Fallback timeout in case iframe doesn't load
-        setTimeout(() => {
-          if (!resolved) {
-            resolved = true;
-            console.warn("Iframe timeout, assuming success");
-            // Show success message immediately
-            syncStatus.textContent = `✓ Successfully pushed ${allRows.length} rows to "${sheet}" in Google Sheets`;
-            syncStatus.style.color = "var(--accent)";
-            syncStatus.style.fontWeight = "500";
-            if (form.parentNode) document.body.removeChild(form);
-            if (iframe.parentNode) document.body.removeChild(iframe);
-            resolve({ success: true });
-          }
-        }, 30000); // 30 second timeout
-      });
-      
-      // Set up timeout to clear success message after 5 seconds
-      setTimeout(() => {
-        if (syncStatus.textContent.includes("Successfully pushed")) {
-          syncStatus.textContent = "";
-          syncStatus.style.fontWeight = "";
-        }
-      }, 5000);
-    } catch (pushError) {
-      throw pushError; // Re-throw to be caught by outer catch block
+    // Only a verified push counts: the script's acknowledgement, or the sheet read back
+    let summary;
+    if (ack) {
+      if (ack.checksum !== envelope.checksum) {
+        throw new Error("The Apps Script received different data than was sent. Nothing was marked as pushed.");
+      }
+      summary = `${ack.updated} updated, ${ack.appended} added, ${ack.deleted} deleted`;
+      // Rows whose Id another reviewer took first were appended under a new one
+      const renumbered = renumberPushedRows(ack.renumbered || []);
+      if (renumbered > 0) {
+        table = buildSyncTable();
+        summary += `; ${renumbered} new row(s) given a new Id because theirs was already taken in the sheet`;
+      }
+    } else {
+      const source = pullSource();
+      if (!source) {
+        throw new Error("Push could not be verified: the Apps Script sent no acknowledgement (update it to the latest template), and neither an API key nor Apps Script pulling is set up to read the sheet back.");
+      }
+      syncStatus.textContent = "No acknowledgement from the Apps Script; reading the sheet back to verify...";
+      const problems = await awaitPushReadBack(id, sheet, source, table, diff);
+      if (problems.length > 0) {
+        throw new Error(`Push could not be verified: ${problems.join("; ")}.`);
+      }
+      summary = `${diff.upserts.length} rows and ${diff.cells} cells verified by reading the sheet back`;
     }
+    
+    unverifiedPush = null;
+    setSyncBaseline(id, sheet, table);
+    syncStatus.textContent = `✓ Successfully pushed to "${sheet}" in Google Sheets (${summary})`;
+    syncStatus.style.color = "var(--accent)";
+    syncStatus.style.fontWeight = "500";
+    
+    // Set up timeout to clear success message after 5 seconds
+    setTimeout(() => {
+      if (syncStatus.textContent.includes("Successfully pushed")) {
+        syncStatus.textContent = "";
+        syncStatus.style.fontWeight = "";
+      }
+    }, 5000);
   } catch (error) {
-    const errorMsg = error.message || String(error);
-    syncStatus.textContent = `Error: ${errorMsg}`;
-    syncStatus.style.color = "#ef4444";
+    showPushFailure(error.message || String(error));
     console.error("Push error details:", {
       message: error.message,
       stack: error.stack,
@@ -1604,6 +6826,7 @@ setTimeout(() => {
   if (typeof loadSyncSettings === 'function') {
     loadSyncSettings();
   }
+  initSessions();
 }, 0);
 
 // Collapsible sync panel
@@ -1652,3 +6875,33 @@ addChatToggle.addEventListener("click", () => {
     addChatToggle.textContent = "+";
   }
 });
+
+const historyToggle = el("historyToggle");
+const historyContainer = el("historyContainer");
+let historyExpanded = true;
+
+historyToggle.addEventListener("click", () => {
+  historyExpanded = !historyExpanded;
+  if (historyExpanded) {
+    historyContainer.style.display = "block";
+    historyToggle.textContent = "−";
+  } else {
+    historyContainer.style.display = "none";
+    historyToggle.textContent = "+";
+  }
+});
+
+const sessionsToggle = el("sessionsToggle");
+const sessionsContainer = el("sessionsContainer");
+let sessionsExpanded = true;
+
+sessionsToggle.addEventListener("click", () => {
+  sessionsExpanded = !sessionsExpanded;
+  if (sessionsExpanded) {
+    sessionsContainer.style.display = "block";
+    sessionsToggle.textContent = "−";
+  } else {
+    sessionsContainer.style.display = "none";
+    sessionsToggle.textContent = "+";
+  }
+});